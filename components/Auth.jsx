@@ -0,0 +1,193 @@
+import { createContext, useContext, useEffect, useState } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import { LogIn, LogOut, Monitor } from "react-feather";
+import Button from "./Button";
+import Nav from "./Nav";
+
+export const STAFF_ROLES = ["admin", "clinician", "front_desk"];
+// Roles that may open a session's transcript, events and intake (the
+// server's SESSION_READERS)
+export const SESSION_READER_ROLES = ["admin", "clinician"];
+
+const AuthContext = createContext({ principal: null, isLoading: true });
+
+export function useAuth() {
+  return useContext(AuthContext);
+}
+
+// Loads the logged-in staff user or enrolled kiosk from the server cookie
+export function AuthProvider({ children }) {
+  const [principal, setPrincipal] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    fetch("/api/auth/me")
+      .then((r) => (r.ok ? r.json() : null))
+      .then(setPrincipal)
+      .catch((err) => console.error("Failed to load login state:", err))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  async function logout() {
+    await fetch("/api/auth/logout", { method: "POST" });
+    setPrincipal(null);
+  }
+
+  return (
+    <AuthContext.Provider value={{ principal, isLoading, setPrincipal, logout }}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+// Staff sign-out; kiosks stay enrolled until an admin revokes them
+export function LogoutButton() {
+  const { principal, logout } = useAuth();
+  if (principal?.kind !== "staff") return null;
+  return (
+    <button
+      onClick={logout}
+      className="flex items-center gap-1 text-gray-600 hover:text-gray-900"
+      title={`Logged in as ${principal.id} (${principal.role})`}
+    >
+      <LogOut size={14} />
+      {principal.id}
+    </button>
+  );
+}
+
+// Renders children only for the given roles; everyone else gets the login page
+export function RequireRole({ roles, children }) {
+  const { principal, isLoading } = useAuth();
+
+  if (isLoading) {
+    return <div className="p-4 text-gray-500">Loading...</div>;
+  }
+  if (!principal) {
+    return <LoginPage />;
+  }
+  if (!roles.includes(principal.role)) {
+    return (
+      <div className="p-4 text-gray-600">
+        This page is not available for this {principal.kind === "kiosk" ? "device" : "account"}.{" "}
+        <Link to="/" className="text-blue-600 hover:underline">
+          Go back
+        </Link>
+      </div>
+    );
+  }
+  return children;
+}
+
+function CenteredForm({ title, error, children, onSubmit }) {
+  return (
+    <>
+      <Nav title={title} />
+      <main className="absolute top-16 left-0 right-0 bottom-0 flex items-center justify-center">
+        <form
+          className="flex flex-col gap-4 w-80"
+          onSubmit={(e) => {
+            e.preventDefault();
+            onSubmit();
+          }}
+        >
+          {children}
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </form>
+      </main>
+    </>
+  );
+}
+
+export function LoginPage() {
+  const { setPrincipal } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+
+  async function handleLogin() {
+    setError(null);
+    const r = await fetch("/api/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username, password }),
+    });
+    if (!r.ok) {
+      setError("Invalid username or password");
+      return;
+    }
+    setPassword("");
+    setPrincipal(await r.json());
+    // Behind a RequireRole the protected page now renders in place
+    if (location.pathname === "/login") {
+      navigate("/");
+    }
+  }
+
+  return (
+    <CenteredForm title="staff login" error={error} onSubmit={handleLogin}>
+      <input
+        type="text"
+        placeholder="username"
+        autoComplete="username"
+        className="border border-gray-200 rounded-full p-4"
+        value={username}
+        onChange={(e) => setUsername(e.target.value)}
+      />
+      <input
+        type="password"
+        placeholder="password"
+        autoComplete="current-password"
+        className="border border-gray-200 rounded-full p-4"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+      />
+      <Button className="bg-blue-600 justify-center" icon={<LogIn height={16} />}>
+        log in
+      </Button>
+      <Link to="/enroll" className="text-xs text-gray-500 hover:underline text-center">
+        enroll this device as a kiosk
+      </Link>
+    </CenteredForm>
+  );
+}
+
+// One-time kiosk enrollment with a code created by an admin
+export function EnrollKiosk() {
+  const { setPrincipal } = useAuth();
+  const navigate = useNavigate();
+  const [code, setCode] = useState("");
+  const [error, setError] = useState(null);
+
+  async function handleEnroll() {
+    setError(null);
+    const r = await fetch("/api/kiosks/enroll", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ enrollmentCode: code }),
+    });
+    if (!r.ok) {
+      setError("Invalid or already used enrollment code");
+      return;
+    }
+    setPrincipal(await r.json());
+    navigate("/");
+  }
+
+  return (
+    <CenteredForm title="kiosk enrollment" error={error} onSubmit={handleEnroll}>
+      <input
+        type="text"
+        placeholder="enrollment code"
+        className="border border-gray-200 rounded-full p-4"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+      />
+      <Button className="bg-blue-600 justify-center" icon={<Monitor height={16} />}>
+        enroll kiosk
+      </Button>
+    </CenteredForm>
+  );
+}
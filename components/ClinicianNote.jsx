@@ -0,0 +1,171 @@
+import { useEffect, useRef, useState } from "react";
+import { Download, FileText, Save, X } from "react-feather";
+import Button from "./Button";
+import { NOTE_FORMATS, noteMarkdown } from "../lib/clinicianNote.js";
+import { markdownToPdf } from "../lib/pdf.js";
+import { downloadFile } from "../lib/transcript.js";
+
+// Editable pre-visit note. `saved` is the note stored with the session;
+// `generated` the one being written for "finish intake" (console only, with
+// `onGenerate` to ask for it). Saving stores the edited text as the final
+// version.
+export default function ClinicianNote({
+  session,
+  saved = null,
+  generated = null,
+  onGenerate = null,
+  onSaved,
+  onClose,
+}) {
+  const initial = saved || generated;
+  const [format, setFormat] = useState(initial?.format || NOTE_FORMATS[0].id);
+  const [text, setText] = useState(initial?.text || "");
+  const [isDirty, setIsDirty] = useState(!saved && generated?.status === "ready");
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const isGenerating = generated?.status === "generating";
+
+  // The generated note streams in; staff edit it once it is complete. A note
+  // saved since it was written is not replaced when the editor is reopened.
+  const shownGeneration = useRef(generated && `${generated.status}:${generated.text}`);
+  useEffect(() => {
+    const generation = generated && `${generated.status}:${generated.text}`;
+    if (!generated || generation === shownGeneration.current) return;
+    shownGeneration.current = generation;
+    setFormat(generated.format);
+    setText(generated.text);
+    setIsDirty(generated.status === "ready");
+  }, [generated?.text, generated?.status]);
+
+  function handleEdit(e) {
+    setText(e.target.value);
+    setIsDirty(true);
+  }
+
+  async function handleSave() {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const response = await fetch(`/api/sessions/${session.id}/note`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ format, text, generatedText: generated?.text }),
+      });
+      const body = await response.json();
+      if (!response.ok) throw new Error(body.details?.join(", ") || body.error);
+      setIsDirty(false);
+      onSaved?.(body);
+    } catch (err) {
+      console.error("Failed to save note:", err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  // Downloads leave the server's view, so report them for the audit trail
+  function download(kind) {
+    fetch(`/api/sessions/${session.id}/access`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ action: "note.download", details: { kind } }),
+    }).catch((err) => console.error("Failed to report note download:", err));
+    const markdown = noteMarkdown(text, { ...session, format });
+    const filename = `pre-visit-note-${session.patientId || "patient"}-${
+      new Date().toISOString().split("T")[0]
+    }`;
+    if (kind === "pdf") {
+      const title = `Pre-visit note ${session.patientId || ""}`.trim();
+      downloadFile(markdownToPdf(markdown, { title }), `${filename}.pdf`, "application/pdf");
+    } else {
+      downloadFile(markdown, `${filename}.md`, "text/markdown");
+    }
+  }
+
+  let status = null;
+  if (isGenerating) status = "Writing the note...";
+  else if (generated?.status === "failed") status = "The note could not be written. Try again.";
+  else if (isDirty) status = "Unsaved changes";
+  else if (saved?.updatedAt) {
+    status = `Saved ${new Date(saved.updatedAt).toLocaleString()} by ${saved.updatedBy}`;
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-40">
+      <div className="bg-white rounded-md shadow-lg w-[800px] max-w-[95vw] h-[85vh] p-4 flex flex-col gap-3">
+        <div className="flex items-center gap-3">
+          <FileText size={20} />
+          <h2 className="text-lg font-bold">Pre-visit note</h2>
+          <select
+            className="border border-gray-200 rounded-md p-2 bg-white text-sm"
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+            disabled={isGenerating}
+          >
+            {NOTE_FORMATS.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          {onGenerate && (
+            <button
+              onClick={() => {
+                if (!isDirty || confirm("Replace the note with a newly written one?")) {
+                  onGenerate(format);
+                }
+              }}
+              disabled={isGenerating}
+              className="text-sm text-blue-600 hover:underline disabled:text-gray-400"
+            >
+              {text ? "write again" : "write note"}
+            </button>
+          )}
+          <button onClick={onClose} className="ml-auto text-gray-600" title="Close">
+            <X size={20} />
+          </button>
+        </div>
+        <textarea
+          className="flex-1 border border-gray-200 rounded-md p-3 font-mono text-sm resize-none"
+          value={text}
+          onChange={handleEdit}
+          readOnly={isGenerating}
+          placeholder={
+            onGenerate
+              ? "Choose a format and write the note from the intake so far."
+              : "No note was written for this intake yet. Write one here."
+          }
+        />
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <div className="flex items-center gap-3">
+          <span className="text-xs text-gray-500">{status}</span>
+          <div className="ml-auto flex items-center gap-3">
+            <Button
+              onClick={() => download("markdown")}
+              icon={<Download height={16} />}
+              className={text.trim() ? "" : "opacity-50 pointer-events-none"}
+            >
+              markdown
+            </Button>
+            <Button
+              onClick={() => download("pdf")}
+              icon={<Download height={16} />}
+              className={text.trim() ? "" : "opacity-50 pointer-events-none"}
+            >
+              pdf
+            </Button>
+            <Button
+              onClick={handleSave}
+              icon={<Save height={16} />}
+              className={`bg-blue-600 ${
+                !text.trim() || isGenerating || isSaving ? "opacity-50 pointer-events-none" : ""
+              }`}
+            >
+              {isSaving ? "saving..." : "save"}
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
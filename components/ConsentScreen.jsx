@@ -0,0 +1,143 @@
+import { useEffect, useState } from "react";
+import { CheckCircle, Users } from "react-feather";
+
+// Text sizes for the console (staff show it to the patient) and the kiosk
+const SIZES = {
+  console: {
+    title: "text-2xl",
+    heading: "text-base",
+    text: "text-sm",
+    button: "px-6 py-3 text-base",
+    icon: 16,
+  },
+  kiosk: {
+    title: "text-5xl",
+    heading: "text-3xl",
+    text: "text-2xl",
+    button: "px-12 py-8 text-3xl min-w-[320px]",
+    icon: 40,
+  },
+};
+
+// Consent texts from the server (config/consent/<lang>.json)
+function useConsentTexts() {
+  const [texts, setTexts] = useState(null);
+  const [error, setError] = useState(null);
+  useEffect(() => {
+    fetch("/api/consent")
+      .then((r) => (r.ok ? r.json() : Promise.reject(new Error(`${r.status}`))))
+      .then(setTexts)
+      .catch((err) => {
+        console.error("Failed to load consent text:", err);
+        setError(err);
+      });
+  }, []);
+  return { texts, error };
+}
+
+// Disclosure and consent shown before any session starts. The patient picks a
+// language, reads what the AI receptionist is, what is recorded and how it is
+// used, and agrees or declines. Both answers carry the language and version
+// of the text shown; declining ends on a "see the front desk" message.
+export default function ConsentScreen({
+  size = "console",
+  isStarting = false,
+  onAccept,
+  onDecline,
+  onDone,
+}) {
+  const { texts, error } = useConsentTexts();
+  const [language, setLanguage] = useState(null);
+  const [declined, setDeclined] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const classes = SIZES[size];
+
+  if (error) {
+    return (
+      <div className="flex flex-col items-center gap-6 text-center">
+        <p className={`${classes.text} text-red-600`}>
+          The consent form could not be loaded, so the session cannot start. Please ask a member
+          of staff.
+        </p>
+        <button onClick={onDone} className={`bg-gray-800 text-white rounded-full ${classes.button}`}>
+          Back
+        </button>
+      </div>
+    );
+  }
+  if (!texts) return <p className={`${classes.text} text-gray-500`}>Loading...</p>;
+
+  const consent =
+    texts.consents.find((c) => c.language === (language || texts.default)) || texts.consents[0];
+  const answer = (decision) => ({ language: consent.language, version: consent.version, decision });
+
+  async function handleDecline() {
+    setIsSaving(true);
+    await onDecline(answer("declined"));
+    setIsSaving(false);
+    setDeclined(true);
+  }
+
+  if (declined) {
+    return (
+      <div className="flex flex-col items-center gap-6 text-center" lang={consent.language}>
+        <Users size={classes.icon * 2} className="text-blue-600" />
+        <h1 className={`${classes.title} font-bold`}>{consent.declined.title}</h1>
+        <p className={`${classes.text} text-gray-600`}>{consent.declined.text}</p>
+        <button onClick={onDone} className={`bg-gray-800 text-white rounded-full ${classes.button}`}>
+          OK
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-6 max-w-4xl" lang={consent.language}>
+      {texts.consents.length > 1 && (
+        <div className="flex flex-wrap justify-center gap-2" role="group" aria-label="Language">
+          {texts.consents.map((c) => (
+            <button
+              key={c.language}
+              onClick={() => setLanguage(c.language)}
+              className={`rounded-full border px-4 py-2 ${classes.text} ${
+                c.language === consent.language
+                  ? "bg-blue-600 border-blue-600 text-white"
+                  : "border-gray-300"
+              }`}
+            >
+              {c.name}
+            </button>
+          ))}
+        </div>
+      )}
+      <h1 className={`${classes.title} font-bold text-center`}>{consent.title}</h1>
+      {consent.sections.map((section) => (
+        <section key={section.heading}>
+          <h2 className={`${classes.heading} font-semibold mb-1`}>{section.heading}</h2>
+          <p className={`${classes.text} text-gray-700`}>{section.text}</p>
+        </section>
+      ))}
+      <p className={`${classes.heading} font-semibold text-center`}>{consent.question}</p>
+      <div className="flex flex-wrap justify-center gap-4">
+        <button
+          onClick={handleDecline}
+          disabled={isSaving || isStarting}
+          className={`bg-gray-500 text-white rounded-full font-semibold disabled:opacity-60 ${classes.button}`}
+        >
+          {consent.decline}
+        </button>
+        <button
+          onClick={() => onAccept(answer("accepted"))}
+          disabled={isSaving || isStarting}
+          className={`bg-green-600 text-white rounded-full font-semibold flex items-center justify-center gap-2 disabled:opacity-60 ${classes.button}`}
+        >
+          <CheckCircle size={classes.icon} />
+          {consent.accept}
+        </button>
+      </div>
+      <p className="text-xs text-gray-400 text-center">
+        {consent.language} v{consent.version}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import logo from "/assets/openai-logomark.svg";
+import EventLog from "./EventLog";
+import { LogoutButton } from "./Auth";
+import ClinicianNote from "./ClinicianNote";
+import SessionControls from "./SessionControls";
+import ToolPanel from "./ToolPanel";
+import UsageMeter from "./UsageMeter";
+import TranscriptManager from "/components/TranscriptManager.jsx";
+import useRealtimeSession from "./useRealtimeSession";
+import { transcriptLanguages } from "../lib/translation.js";
+
+export default function Console() {
+  const {
+    isSessionActive,
+    connectionState,
+    events,
+    intake,
+    transcript,
+    setTranscript,
+    patientId,
+    sessionId,
+    turnTaking,
+    microphone,
+    startSession,
+    declineSession,
+    stopSession,
+    retryConnection,
+    sendClientEvent,
+    sendTextMessage,
+    note,
+    recording,
+    usage,
+    requestNote,
+    requestResponse,
+    startTalking,
+    stopTalking,
+  } = useRealtimeSession();
+  const [highlightedItemId, setHighlightedItemId] = useState(null);
+  const [isNoteOpen, setIsNoteOpen] = useState(false);
+  const [savedNote, setSavedNote] = useState(null);
+
+  // A new session starts without a highlighted turn or a note
+  useEffect(() => {
+    setHighlightedItemId(null);
+    setSavedNote(null);
+  }, [sessionId]);
+
+  return (
+    <>
+      <nav className="absolute top-0 left-0 right-0 h-16 flex items-center">
+        <div className="flex items-center gap-4 w-full m-4 pb-2 border-0 border-b border-solid border-gray-200">
+          <img style={{ width: "24px" }} src={logo} />
+          <h1>realtime console</h1>
+          <div className="ml-auto flex items-center gap-4 text-sm">
+            {sessionId && <UsageMeter usage={usage} />}
+            {sessionId && (note || savedNote) && (
+              <button onClick={() => setIsNoteOpen(true)} className="text-blue-600 hover:underline">
+                pre-visit note
+              </button>
+            )}
+            <Link to="/kiosk" className="text-blue-600 hover:underline">
+              kiosk mode
+            </Link>
+            <Link to="/review" className="text-blue-600 hover:underline">
+              review intakes
+            </Link>
+            <LogoutButton />
+          </div>
+        </div>
+      </nav>
+      <main className="absolute top-16 left-0 right-0 bottom-0">
+        <section className="absolute top-0 left-0 right-[760px] bottom-0 flex">
+          <section className="absolute top-0 left-0 right-0 bottom-32 px-4 overflow-y-auto">
+            <EventLog events={events} sessionId={sessionId} />
+          </section>
+          <section className="absolute h-32 left-0 right-0 bottom-0 p-4">
+            <SessionControls
+              startSession={startSession}
+              declineSession={declineSession}
+              stopSession={stopSession}
+              sendClientEvent={sendClientEvent}
+              sendTextMessage={sendTextMessage}
+              retryConnection={retryConnection}
+              events={events}
+              isSessionActive={isSessionActive}
+              connectionState={connectionState}
+              microphone={microphone}
+              turnTaking={turnTaking}
+              requestResponse={requestResponse}
+              startTalking={startTalking}
+              stopTalking={stopTalking}
+              onFinishIntake={() => setIsNoteOpen(true)}
+            />
+          </section>
+        </section>
+        <section className="absolute top-0 w-[380px] right-[380px] bottom-0 p-4 pt-0 overflow-y-auto">
+          <ToolPanel
+            events={events}
+            isSessionActive={isSessionActive}
+            intake={intake}
+            onSelectSource={setHighlightedItemId}
+            languages={transcriptLanguages(transcript)}
+          />
+        </section>
+        <section className="absolute top-0 w-[380px] right-0 bottom-0 p-4 pt-0 overflow-y-auto">
+          <TranscriptManager
+            events={events}
+            audio={recording}
+            embedded={true}
+            highlightedItemId={highlightedItemId}
+            intake={intake}
+            patientId={patientId}
+            sessionId={sessionId}
+            onTranscriptChange={setTranscript}
+          />
+        </section>
+      </main>
+      {isNoteOpen && sessionId && (
+        <ClinicianNote
+          session={{ id: sessionId, patientId }}
+          saved={savedNote}
+          generated={note}
+          onGenerate={isSessionActive ? requestNote : null}
+          onSaved={(session) => setSavedNote(session.note)}
+          onClose={() => setIsNoteOpen(false)}
+        />
+      )}
+    </>
+  );
+}
\ No newline at end of file
@@ -1,25 +1,45 @@
-import { ArrowUp, ArrowDown } from "react-feather";
-import { useState } from "react";
+import { AlertCircle, ArrowUp, ArrowDown, Download, Layers } from "react-feather";
+import { useMemo, useRef, useState } from "react";
+import { createRedactor } from "../lib/redact.js";
+import { toJsonl } from "../lib/eventRecording.js";
+import { downloadFile } from "../lib/transcript.js";
+import {
+  EVENT_FAMILIES,
+  filterEvents,
+  groupDeltas,
+  isErrorEvent,
+} from "../lib/eventLog.js";
 
-function Event({ event, timestamp }) {
-  const [isExpanded, setIsExpanded] = useState(false);
+function DirectionIcon({ direction }) {
+  return direction === "client" ? (
+    <ArrowDown className="text-blue-400" />
+  ) : (
+    <ArrowUp className="text-green-400" />
+  );
+}
 
-  const isClient = event.event_id && !event.event_id.startsWith("event_");
+function Event({ event, timestamp, redactor }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const isError = isErrorEvent(event);
 
   return (
-    <div className="flex flex-col gap-2 p-2 rounded-md bg-gray-50">
+    <div
+      className={`flex flex-col gap-2 p-2 rounded-md ${
+        isError ? "bg-red-50 border border-red-300" : "bg-gray-50"
+      }`}
+    >
       <div
         className="flex items-center gap-2 cursor-pointer"
         onClick={() => setIsExpanded(!isExpanded)}
       >
-        {isClient ? (
-          <ArrowDown className="text-blue-400" />
+        {isError ? (
+          <AlertCircle className="text-red-500" />
         ) : (
-          <ArrowUp className="text-green-400" />
+          <DirectionIcon direction={event.direction} />
         )}
-        <div className="text-sm text-gray-500">
-          {isClient ? "client:" : "server:"}
-          &nbsp;{event.type} | {timestamp}
+        <div className={`text-sm ${isError ? "text-red-700" : "text-gray-500"}`}>
+          {event.direction || "unknown"}:&nbsp;{event.type} | {timestamp}
+          {isError && event.error?.message && <> | {event.error.message}</>}
         </div>
       </div>
       <div
@@ -27,37 +47,216 @@ function Event({ event, timestamp }) {
           isExpanded ? "block" : "hidden"
         }`}
       >
-        <pre className="text-xs">{JSON.stringify(event, null, 2)}</pre>
+        {isExpanded && (
+          <pre className="text-xs">
+            {JSON.stringify(redactor ? redactor.redactValue(event) : event, null, 2)}
+          </pre>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// A run of deltas for one response, collapsed to a count and the joined text
+function DeltaGroup({ group, redactor }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [newest] = group.events;
+  const oldest = group.events[group.events.length - 1];
+  const text = redactor ? redactor.redactText(group.text) : group.text;
+
+  return (
+    <div className="flex flex-col gap-2 p-2 rounded-md bg-gray-50">
+      <div
+        className="flex items-center gap-2 cursor-pointer"
+        onClick={() => setIsExpanded(!isExpanded)}
+      >
+        <DirectionIcon direction={newest.direction} />
+        <div className="text-sm text-gray-500 flex items-center gap-1 min-w-0">
+          {newest.direction || "unknown"}:&nbsp;{group.type}
+          <span className="flex items-center gap-0.5 bg-gray-200 rounded-full px-2 text-xs">
+            <Layers size={10} />
+            {group.events.length}
+          </span>
+          | {oldest.timestamp}
+          {group.events.length > 1 && <> - {newest.timestamp}</>}
+        </div>
       </div>
+      {isExpanded && (
+        <div className="text-gray-500 bg-gray-200 p-2 rounded-md overflow-x-auto text-xs flex flex-col gap-1">
+          <div>
+            {group.responseId ? `response ${group.responseId}` : `item ${group.itemId}`}
+          </div>
+          {text ? (
+            <pre className="whitespace-pre-wrap">{text}</pre>
+          ) : (
+            <div className="italic">no text (audio)</div>
+          )}
+        </div>
+      )}
     </div>
   );
 }
 
-export default function EventLog({ events }) {
-  const eventsToDisplay = [];
-  let deltaEvents = {};
+const ALL_FAMILIES = EVENT_FAMILIES.map((family) => family.id);
+
+export default function EventLog({ events, sessionId = null }) {
+  const [showPhi, setShowPhi] = useState(false);
+  const [families, setFamilies] = useState(ALL_FAMILIES);
+  const [direction, setDirection] = useState("all");
+  const [query, setQuery] = useState("");
+  // One redactor for the whole log so placeholders match across events
+  const redactor = useRef(createRedactor());
+
+  const filtered = useMemo(
+    () =>
+      filterEvents(events, {
+        families,
+        direction,
+        query: query.trim(),
+        redactor: showPhi ? null : redactor.current,
+      }),
+    [events, families, direction, query, showPhi],
+  );
+  const rows = useMemo(() => groupDeltas(filtered), [filtered]);
+  const errorCount = useMemo(() => events.filter(isErrorEvent).length, [events]);
+
+  function toggleFamily(id) {
+    setFamilies((prev) => (prev.includes(id) ? prev.filter((f) => f !== id) : [...prev, id]));
+  }
 
-  events.forEach((event) => {
-    if (event.type.endsWith("delta")) {
-      if (deltaEvents[event.type]) {
-        // for now just log a single event per render pass
-        return;
-      } else {
-        deltaEvents[event.type] = event;
-      }
-    }
+  function reportDownload(details) {
+    if (!sessionId) return;
+    fetch(`/api/sessions/${sessionId}/access`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ action: "events.download", details: { redacted: !showPhi, ...details } }),
+    }).catch((err) => console.error("Failed to report event download:", err));
+  }
+
+  // Save the stream as a JSONL recording (oldest first) for the replay page;
+  // redacted unless unredacted payloads are shown
+  function downloadRecording() {
+    reportDownload({});
+    const recording = [...events].reverse();
+    downloadFile(
+      toJsonl(showPhi ? recording : createRedactor().redactValue(recording)),
+      `session-events-${sessionId || new Date().toISOString().split("T")[0]}.jsonl`,
+      "application/x-ndjson",
+    );
+  }
 
-    eventsToDisplay.push(
-      <Event key={event.event_id} event={event} timestamp={event.timestamp} />,
+  // The events currently shown, oldest first, as a JSON array
+  function exportFiltered() {
+    reportDownload({ format: "json", filtered: filtered.length !== events.length });
+    const list = [...filtered].reverse();
+    downloadFile(
+      JSON.stringify(showPhi ? list : createRedactor().redactValue(list), null, 2),
+      `session-events-${sessionId || new Date().toISOString().split("T")[0]}.json`,
+      "application/json",
     );
-  });
+  }
 
   return (
     <div className="flex flex-col gap-2 overflow-x-auto">
+      <div className="flex flex-col gap-2 text-xs text-gray-600 sticky top-0 bg-white py-2 z-10">
+        <div className="flex items-center gap-2">
+          <input
+            type="search"
+            placeholder="search payloads"
+            className="flex-1 border border-gray-200 rounded-md p-1"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <select
+            className="border border-gray-200 rounded-md p-1 bg-white"
+            value={direction}
+            onChange={(e) => setDirection(e.target.value)}
+            title="Direction"
+          >
+            <option value="all">client and server</option>
+            <option value="client">client only</option>
+            <option value="server">server only</option>
+          </select>
+        </div>
+        <div className="flex flex-wrap items-center gap-1">
+          {EVENT_FAMILIES.map((family) => (
+            <button
+              key={family.id}
+              onClick={() => toggleFamily(family.id)}
+              className={`rounded-full px-2 py-0.5 border ${
+                families.includes(family.id)
+                  ? family.id === "error"
+                    ? "bg-red-100 border-red-300 text-red-700"
+                    : "bg-blue-100 border-blue-300 text-blue-700"
+                  : "border-gray-200 text-gray-400"
+              }`}
+            >
+              {family.label}
+              {family.id === "error" && errorCount > 0 && ` (${errorCount})`}
+            </button>
+          ))}
+          <button
+            onClick={() => setFamilies(families.length === ALL_FAMILIES.length ? [] : ALL_FAMILIES)}
+            className="hover:text-gray-900"
+          >
+            {families.length === ALL_FAMILIES.length ? "none" : "all"}
+          </button>
+        </div>
+        <div className="flex items-center gap-4">
+          <span>
+            {filtered.length === events.length
+              ? `${events.length} events`
+              : `${filtered.length} of ${events.length} events`}
+          </span>
+          <label className="flex items-center gap-1 cursor-pointer ml-auto">
+            <input
+              type="checkbox"
+              checked={showPhi}
+              onChange={(e) => setShowPhi(e.target.checked)}
+            />
+            Show unredacted payloads
+          </label>
+          <button
+            onClick={exportFiltered}
+            disabled={filtered.length === 0}
+            className="flex items-center gap-1 hover:text-gray-900 disabled:opacity-50"
+            title="Download the events shown as JSON"
+          >
+            <Download size={12} />
+            json
+          </button>
+          <button
+            onClick={downloadRecording}
+            disabled={events.length === 0}
+            className="flex items-center gap-1 hover:text-gray-900 disabled:opacity-50"
+            title="Download the event stream as a JSONL recording"
+          >
+            <Download size={12} />
+            recording
+          </button>
+        </div>
+      </div>
       {events.length === 0 ? (
         <div className="text-gray-500">Awaiting events...</div>
+      ) : rows.length === 0 ? (
+        <div className="text-gray-500">No events match the filters.</div>
       ) : (
-        eventsToDisplay
+        rows.map(({ event, group }) =>
+          group ? (
+            <DeltaGroup
+              key={group.key}
+              group={group}
+              redactor={showPhi ? null : redactor.current}
+            />
+          ) : (
+            <Event
+              key={event.event_id || `${event.type}:${event.recordedAt}`}
+              event={event}
+              timestamp={event.timestamp}
+              redactor={showPhi ? null : redactor.current}
+            />
+          ),
+        )
       )}
     </div>
   );
@@ -0,0 +1,203 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { CheckCircle } from "react-feather";
+import Button from "./Button";
+import ClinicianNote from "./ClinicianNote";
+import EventLog from "./EventLog";
+import ToolPanel from "./ToolPanel";
+import TranscriptManager from "./TranscriptManager";
+import Nav from "./Nav";
+import { LogoutButton, useAuth } from "./Auth";
+import { RedFlagBadge, formatDuration } from "./ReviewDashboard";
+import { emptyIntake } from "../lib/intake.js";
+import { transcriptLanguages } from "../lib/translation.js";
+
+function ReviewAction({ session, onReviewed }) {
+  const { principal } = useAuth();
+  const [isSaving, setIsSaving] = useState(false);
+
+  if (session.review) {
+    return (
+      <span className="flex items-center gap-1 text-green-700">
+        <CheckCircle size={16} />
+        reviewed by {session.review.reviewedBy} on{" "}
+        {new Date(session.review.reviewedAt).toLocaleString()}
+      </span>
+    );
+  }
+  if (principal?.role !== "clinician") {
+    return <span className="text-gray-400">awaiting clinician review</span>;
+  }
+
+  async function markReviewed() {
+    if (isSaving) return;
+    setIsSaving(true);
+    try {
+      const r = await fetch(`/api/sessions/${session.id}/review`, { method: "POST" });
+      if (!r.ok) throw new Error(`Failed to mark reviewed: ${r.status}`);
+      onReviewed(await r.json());
+    } catch (err) {
+      console.error(err);
+      alert(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  return (
+    <Button
+      onClick={markReviewed}
+      icon={<CheckCircle height={16} />}
+      className={isSaving ? "bg-gray-600" : "bg-green-600"}
+    >
+      mark reviewed
+    </Button>
+  );
+}
+
+export default function IntakeReview() {
+  const { id } = useParams();
+  const [session, setSession] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [error, setError] = useState(null);
+  const [highlightedItemId, setHighlightedItemId] = useState(null);
+  const [isNoteOpen, setIsNoteOpen] = useState(false);
+
+  useEffect(() => {
+    Promise.all([
+      fetch(`/api/sessions/${id}`).then((r) => {
+        if (!r.ok) throw new Error(`Failed to load intake: ${r.status}`);
+        return r.json();
+      }),
+      fetch(`/api/sessions/${id}/events`).then((r) => (r.ok ? r.json() : [])),
+    ])
+      .then(([storedSession, storedEvents]) => {
+        setSession(storedSession);
+        // EventLog lists the newest event first
+        setEvents(storedEvents.reverse());
+      })
+      .catch((err) => {
+        console.error(err);
+        setError(err.message);
+      });
+  }, [id]);
+
+  // The stored recording, for playing turns from the transcript
+  const audio = useMemo(
+    () =>
+      session?.audio &&
+      Object.fromEntries(
+        Object.entries(session.audio).map(([side, recording]) => [
+          side,
+          { url: `/api/sessions/${session.id}/audio/${side}`, startedAt: recording.startedAt },
+        ]),
+      ),
+    [session?.id, session?.audio],
+  );
+
+  return (
+    <>
+      <Nav title="intake review">
+        <Link to={`/replay/${id}`} className="text-blue-600 hover:underline">
+          replay events
+        </Link>
+        <Link to="/review" className="text-blue-600 hover:underline">
+          all intakes
+        </Link>
+        <LogoutButton />
+      </Nav>
+      <main className="absolute top-16 left-0 right-0 bottom-0">
+        {error && <p className="p-4 text-red-600">{error}</p>}
+        {!session && !error && <p className="p-4 text-gray-500">Loading intake...</p>}
+        {session && (
+          <>
+            <section className="absolute top-0 left-0 right-0 h-16 px-4 flex items-center justify-between">
+              <div className="text-sm">
+                <span className="font-bold">
+                  {session.metadata?.patientId || "unidentified patient"}
+                </span>
+                {" | "}
+                {new Date(session.startedAt).toLocaleString()}
+                {" | "}
+                {formatDuration(session.startedAt, session.endedAt)}
+                {session.protocol && (
+                  <span title={`prompt hash ${session.protocol.hash}`}>
+                    {" | "}
+                    {session.protocol.id} v{session.protocol.version}
+                  </span>
+                )}
+                {session.consent && (
+                  <span
+                    title={`consent text hash ${session.consent.hash}, ${new Date(
+                      session.consent.decidedAt,
+                    ).toLocaleString()}`}
+                  >
+                    {" | "}
+                    consent {session.consent.decision} ({session.consent.language} v
+                    {session.consent.version})
+                  </span>
+                )}
+                {session.redFlags?.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {session.redFlags.map((flag) => (
+                      <RedFlagBadge
+                        key={flag.id}
+                        flag={flag}
+                        onClick={flag.itemId ? () => setHighlightedItemId(flag.itemId) : null}
+                      />
+                    ))}
+                  </div>
+                )}
+              </div>
+              <div className="flex items-center gap-4">
+                <button
+                  onClick={() => setIsNoteOpen(true)}
+                  className="text-sm text-blue-600 hover:underline"
+                >
+                  {session.note ? "pre-visit note" : "write pre-visit note"}
+                </button>
+                <ReviewAction session={session} onReviewed={setSession} />
+              </div>
+            </section>
+            <section className="absolute top-16 left-0 w-[380px] bottom-0 p-4 pt-0 overflow-y-auto">
+              <ToolPanel
+                events={events}
+                intake={session.intake || emptyIntake()}
+                onSelectSource={setHighlightedItemId}
+                languages={transcriptLanguages(session.transcript)}
+              />
+            </section>
+            <section className="absolute top-16 left-[380px] w-[380px] bottom-0 p-4 pt-0 overflow-y-auto">
+              <TranscriptManager
+                entries={session.transcript}
+                events={events}
+                audio={audio}
+                embedded={true}
+                highlightedItemId={highlightedItemId}
+                intake={session.intake}
+                patientId={session.metadata?.patientId}
+                sessionId={session.id}
+              />
+            </section>
+            <section className="absolute top-16 left-[760px] right-0 bottom-0 px-4 overflow-y-auto">
+              <EventLog events={events} sessionId={session.id} />
+            </section>
+            {isNoteOpen && (
+              <ClinicianNote
+                session={{
+                  id: session.id,
+                  patientId: session.metadata?.patientId,
+                  startedAt: session.startedAt,
+                  protocol: session.protocol,
+                }}
+                saved={session.note}
+                onSaved={setSession}
+                onClose={() => setIsNoteOpen(false)}
+              />
+            )}
+          </>
+        )}
+      </main>
+    </>
+  );
+}
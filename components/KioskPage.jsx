@@ -0,0 +1,318 @@
+import { useEffect, useRef, useState } from "react";
+import { AlertTriangle, CheckCircle, Mic, MoreHorizontal, RefreshCw, Type, Volume2, WifiOff } from "react-feather";
+import { MicrophoneLevel, MicrophoneSelect, MuteButton } from "./MicrophoneControls";
+import ConsentScreen from "./ConsentScreen";
+import useRealtimeSession from "./useRealtimeSession";
+import useTranscript from "./useTranscript";
+
+// The thank-you and "see the front desk" screens stay up this long before the
+// kiosk resets for the next patient
+const RESET_AFTER_MS = 10000;
+// A session with no activity for this long is ended, e.g. when a patient
+// walks away mid-intake; an unanswered consent screen goes back to the start
+const IDLE_TIMEOUT_MS = 3 * 60 * 1000;
+
+// Who is talking right now, from the newest relevant event: "patient",
+// "assistant", "thinking" (waiting for the receptionist) or "listening"
+function speakingState(events) {
+  for (const event of events) {
+    switch (event.type) {
+      case "input_audio_buffer.speech_started":
+        return "patient";
+      case "output_audio_buffer.started":
+      case "response.output_audio_transcript.delta":
+      case "response.audio_transcript.delta":
+        return "assistant";
+      case "input_audio_buffer.speech_stopped":
+      case "input_audio_buffer.committed":
+      case "response.created":
+        return "thinking";
+      case "output_audio_buffer.stopped":
+        return "listening";
+      default:
+        break;
+    }
+  }
+  return "listening";
+}
+
+const INDICATORS = {
+  patient: {
+    label: "I'm listening...",
+    icon: <Mic size={96} />,
+    className: "bg-green-500 animate-pulse",
+  },
+  assistant: {
+    label: "Speaking...",
+    icon: <Volume2 size={96} />,
+    className: "bg-blue-500 animate-pulse",
+  },
+  thinking: {
+    label: "One moment...",
+    icon: <MoreHorizontal size={96} />,
+    className: "bg-blue-300",
+  },
+  listening: {
+    label: "Go ahead, I'm listening",
+    icon: <Mic size={96} />,
+    className: "bg-green-400",
+  },
+};
+
+function KioskButton({ children, onClick, className = "bg-gray-800", disabled = false }) {
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      className={`${className} text-white rounded-full px-12 py-8 text-3xl font-semibold flex items-center justify-center gap-4 min-w-[320px] active:opacity-80 disabled:opacity-60`}
+    >
+      {children}
+    </button>
+  );
+}
+
+function Welcome({ onStart, isStarting, microphone }) {
+  return (
+    <div className="flex flex-col items-center gap-12 text-center">
+      <div>
+        <h1 className="text-5xl font-bold mb-6">Welcome</h1>
+        <p className="text-3xl text-gray-600">
+          Tap the button and our receptionist will ask a few questions before your visit.
+        </p>
+      </div>
+      <KioskButton onClick={onStart} disabled={isStarting} className="bg-green-600">
+        <Mic size={40} />
+        {isStarting ? "Starting..." : "Start check-in"}
+      </KioskButton>
+      <MicrophoneSelect microphone={microphone} className="text-gray-500" />
+    </div>
+  );
+}
+
+function Conversation({ state, captions, showCaptions, microphone }) {
+  const indicator = INDICATORS[state];
+  return (
+    <div className="flex flex-col items-center gap-10 w-full">
+      <div
+        className={`${indicator.className} text-white rounded-full w-64 h-64 flex items-center justify-center`}
+        role="status"
+        aria-label={indicator.label}
+      >
+        {indicator.icon}
+      </div>
+      <p className="text-4xl font-semibold">
+        {microphone.isMuted ? "Microphone is off" : indicator.label}
+      </p>
+      <MicrophoneLevel stream={microphone.stream} className="w-64 h-3" />
+      {showCaptions && (
+        <div className="w-full max-w-4xl min-h-[12rem] flex flex-col gap-4" aria-live="polite">
+          {captions.map((entry) => (
+            <p
+              key={entry.id}
+              className={`text-3xl leading-snug ${
+                entry.speaker === "user" ? "text-gray-500 text-right" : "text-gray-900"
+              }`}
+            >
+              {entry.message}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Shown from the moment a red flag is raised until the kiosk resets; staff
+// screens get the alert at the same time
+function HelpIsComing() {
+  return (
+    <div
+      className="flex items-center justify-center gap-6 p-8 bg-red-600 text-white text-center"
+      role="alert"
+    >
+      <AlertTriangle size={56} />
+      <p className="text-4xl font-semibold">
+        A member of staff is on their way to you. Please stay where you are.
+      </p>
+    </div>
+  );
+}
+
+function Interrupted({ failed, onRetry }) {
+  return (
+    <div className="flex flex-col items-center gap-10 text-center" role="status">
+      {failed ? (
+        <WifiOff size={96} className="text-red-600" />
+      ) : (
+        <RefreshCw size={96} className="text-yellow-600 animate-spin" />
+      )}
+      <p className="text-4xl font-semibold">
+        {failed ? "We lost the connection." : "Reconnecting, please wait..."}
+      </p>
+      <p className="text-3xl text-gray-600">Your answers so far are saved.</p>
+      {failed && (
+        <KioskButton onClick={onRetry} className="bg-blue-600">
+          <RefreshCw size={40} />
+          Try again
+        </KioskButton>
+      )}
+    </div>
+  );
+}
+
+function ThankYou({ onDone }) {
+  return (
+    <div className="flex flex-col items-center gap-10 text-center">
+      <CheckCircle size={128} className="text-green-600" />
+      <h1 className="text-5xl font-bold">Thank you!</h1>
+      <p className="text-3xl text-gray-600">
+        You are all set. Please take a seat, a member of staff will be with you shortly.
+      </p>
+      <KioskButton onClick={onDone}>Done</KioskButton>
+    </div>
+  );
+}
+
+// Patient-facing check-in screen for enrolled kiosks: one big start/finish
+// control, a speaking indicator and optional captions. Nothing from a
+// session is kept in the browser once the thank-you screen has passed.
+export default function KioskPage() {
+  const {
+    isSessionActive,
+    connectionState,
+    events,
+    redFlags,
+    microphone,
+    setTranscript,
+    startSession,
+    declineSession,
+    stopSession,
+    resetSession,
+    retryConnection,
+  } = useRealtimeSession();
+  const { transcript, clearTranscript } = useTranscript(events);
+  const [isFinished, setIsFinished] = useState(false);
+  const [isConsenting, setIsConsenting] = useState(false);
+  const [isDeclined, setIsDeclined] = useState(false);
+  const [isStarting, setIsStarting] = useState(false);
+  const [showCaptions, setShowCaptions] = useState(false);
+  const finishRef = useRef(null);
+
+  // The stored session gets the transcript the same way the console saves it
+  useEffect(() => {
+    setTranscript(transcript);
+  }, [transcript]);
+
+  function handleStart(consent) {
+    if (isStarting) return;
+    setIsStarting(true);
+    startSession({ consent }).finally(() => {
+      setIsStarting(false);
+      setIsConsenting(false);
+    });
+  }
+
+  function handleDecline(consent) {
+    setIsDeclined(true);
+    return declineSession({ consent });
+  }
+
+  function handleFinish() {
+    stopSession();
+    setIsFinished(true);
+  }
+  finishRef.current = handleFinish;
+
+  // Ready for the next patient: wipe the previous session from the browser
+  function handleReset() {
+    resetSession();
+    clearTranscript();
+    setShowCaptions(false);
+    setIsFinished(false);
+    setIsConsenting(false);
+    setIsDeclined(false);
+  }
+
+  useEffect(() => {
+    if (!isFinished && !isDeclined) return;
+    const timer = setTimeout(handleReset, RESET_AFTER_MS);
+    return () => clearTimeout(timer);
+  }, [isFinished, isDeclined]);
+
+  useEffect(() => {
+    if (!isConsenting || isDeclined) return;
+    const timer = setTimeout(() => setIsConsenting(false), IDLE_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [isConsenting, isDeclined]);
+
+  // Every event restarts the idle timer
+  useEffect(() => {
+    if (!isSessionActive) return;
+    const timer = setTimeout(() => finishRef.current(), IDLE_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [events, isSessionActive]);
+
+  const isInterrupted = connectionState === "reconnecting" || connectionState === "failed";
+  const captions = transcript.slice(-2);
+
+  let content;
+  if (isFinished) {
+    content = <ThankYou onDone={handleReset} />;
+  } else if (isSessionActive && isInterrupted) {
+    content = <Interrupted failed={connectionState === "failed"} onRetry={retryConnection} />;
+  } else if (isSessionActive) {
+    content = (
+      <Conversation
+        state={speakingState(events)}
+        captions={captions}
+        showCaptions={showCaptions}
+        microphone={microphone}
+      />
+    );
+  } else if (isConsenting) {
+    content = (
+      <ConsentScreen
+        size="kiosk"
+        isStarting={isStarting || connectionState === "connecting"}
+        onAccept={handleStart}
+        onDecline={handleDecline}
+        onDone={handleReset}
+      />
+    );
+  } else {
+    content = (
+      <Welcome
+        onStart={() => setIsConsenting(true)}
+        isStarting={isStarting || connectionState === "connecting"}
+        microphone={microphone}
+      />
+    );
+  }
+
+  return (
+    <main className="absolute inset-0 flex flex-col bg-white select-none">
+      {redFlags.length > 0 && <HelpIsComing />}
+      <section className="flex-1 flex items-center justify-center p-12 overflow-y-auto">
+        {content}
+      </section>
+      {isSessionActive && !isFinished && (
+        <section className="flex items-center justify-center gap-8 p-8 border-t-2 border-gray-200">
+          <KioskButton
+            onClick={() => setShowCaptions(!showCaptions)}
+            className={showCaptions ? "bg-blue-600" : "bg-gray-500"}
+          >
+            <Type size={40} />
+            {showCaptions ? "Hide captions" : "Show captions"}
+          </KioskButton>
+          <MuteButton microphone={microphone} iconSize={40} className="px-12 py-8 text-3xl font-semibold">
+            {microphone.isMuted ? "Unmute" : "Mute"}
+          </MuteButton>
+          <KioskButton onClick={handleFinish} className="bg-red-600">
+            <CheckCircle size={40} />
+            Finish
+          </KioskButton>
+        </section>
+      )}
+    </main>
+  );
+}
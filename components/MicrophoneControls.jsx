@@ -0,0 +1,81 @@
+import { useEffect, useRef } from "react";
+import { Mic, MicOff } from "react-feather";
+
+// Input level of `stream`, drawn straight into the DOM on every animation
+// frame so the rest of the page does not re-render
+export function MicrophoneLevel({ stream, className = "w-24 h-2" }) {
+  const barRef = useRef(null);
+
+  useEffect(() => {
+    if (!stream || !window.AudioContext) return;
+    const context = new AudioContext();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 512;
+    context.createMediaStreamSource(stream).connect(analyser);
+    const samples = new Float32Array(analyser.fftSize);
+    let frame;
+    const draw = () => {
+      analyser.getFloatTimeDomainData(samples);
+      const rms = Math.sqrt(samples.reduce((sum, s) => sum + s * s, 0) / samples.length);
+      // Speech sits around 0.02-0.2 RMS; scale so normal talking fills most of the bar
+      const level = Math.min(1, rms * 5);
+      if (barRef.current) barRef.current.style.width = `${Math.round(level * 100)}%`;
+      frame = requestAnimationFrame(draw);
+    };
+    draw();
+    return () => {
+      cancelAnimationFrame(frame);
+      context.close();
+    };
+  }, [stream]);
+
+  return (
+    <div
+      className={`${className} bg-gray-200 rounded-full overflow-hidden`}
+      title="Microphone level"
+    >
+      <div ref={barRef} className="h-full bg-green-500 transition-[width] duration-75" style={{ width: 0 }} />
+    </div>
+  );
+}
+
+export function MicrophoneSelect({ microphone, className = "" }) {
+  const { devices, deviceId, selectDevice } = microphone;
+  // Before microphone permission is granted browsers hide device ids
+  const choices = devices.filter((device) => device.deviceId);
+  if (choices.length === 0) return null;
+  return (
+    <select
+      className={`border border-gray-200 rounded-full p-4 bg-white max-w-[200px] ${className}`}
+      value={choices.some((device) => device.deviceId === deviceId) ? deviceId : ""}
+      onChange={(e) => selectDevice(e.target.value)}
+      title="Microphone"
+    >
+      <option value="">default microphone</option>
+      {choices
+        .filter((device) => device.deviceId !== "default")
+        .map((device, index) => (
+          <option key={device.deviceId} value={device.deviceId}>
+            {device.label || `microphone ${index + 1}`}
+          </option>
+        ))}
+    </select>
+  );
+}
+
+export function MuteButton({ microphone, className = "", iconSize = 16, children }) {
+  const { isMuted, setMuted } = microphone;
+  return (
+    <button
+      onClick={() => setMuted(!isMuted)}
+      className={`rounded-full p-4 flex items-center gap-1 text-white hover:opacity-90 ${
+        isMuted ? "bg-red-600" : "bg-gray-500"
+      } ${className}`}
+      title={isMuted ? "Unmute microphone" : "Mute microphone"}
+      aria-pressed={isMuted}
+    >
+      {isMuted ? <MicOff size={iconSize} /> : <Mic size={iconSize} />}
+      {children}
+    </button>
+  );
+}
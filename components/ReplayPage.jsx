@@ -0,0 +1,172 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { Pause, Play, RotateCcw, SkipForward } from "react-feather";
+import Button from "./Button";
+import EventLog from "./EventLog";
+import ToolPanel from "./ToolPanel";
+import TranscriptManager from "./TranscriptManager";
+import Nav from "./Nav";
+import { LogoutButton } from "./Auth";
+import { createReplay, parseRecording, recordingOffset } from "../lib/eventRecording.js";
+import { intakeFromEvents } from "../lib/intake.js";
+
+const SPEEDS = [1, 2, 5, 10];
+
+function formatOffset(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+// Feeds a recorded event stream (a stored session or a JSONL file) back
+// through the event log, transcript and intake form, without a microphone or
+// a live Realtime connection.
+export default function ReplayPage() {
+  const { id } = useParams();
+  const [recording, setRecording] = useState(null);
+  const [source, setSource] = useState(null);
+  const [error, setError] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [player, setPlayer] = useState({ position: 0, total: 0, isPlaying: false, speed: 1 });
+  const [highlightedItemId, setHighlightedItemId] = useState(null);
+  const replay = useRef(null);
+
+  useEffect(() => {
+    if (!id) return;
+    fetch(`/api/sessions/${id}/events`)
+      .then((r) => {
+        if (!r.ok) throw new Error(`Failed to load session events: ${r.status}`);
+        return r.json();
+      })
+      .then((storedEvents) => {
+        setRecording(storedEvents);
+        setSource(`session ${id}`);
+      })
+      .catch((err) => {
+        console.error(err);
+        setError(err.message);
+      });
+  }, [id]);
+
+  // A new recording gets a fresh player and empty panels
+  useEffect(() => {
+    setEvents([]);
+    setHighlightedItemId(null);
+    if (!recording) return;
+    replay.current = createReplay(recording, {
+      // EventLog and TranscriptManager expect the newest event first
+      onEvent: (event) => setEvents((prev) => [{ ...event }, ...prev]),
+      onChange: setPlayer,
+    });
+    setPlayer(replay.current.state);
+    return () => replay.current.pause();
+  }, [recording]);
+
+  // The intake form is rebuilt from the function calls replayed so far
+  const intake = useMemo(() => intakeFromEvents([...events].reverse()), [events]);
+
+  async function loadFile(file) {
+    if (!file) return;
+    setError(null);
+    try {
+      const parsed = parseRecording(await file.text());
+      if (parsed.length === 0) throw new Error("The recording has no events");
+      setRecording(parsed);
+      setSource(file.name);
+    } catch (err) {
+      console.error(err);
+      setError(`Could not read ${file.name}: ${err.message}`);
+    }
+  }
+
+  function restart() {
+    replay.current.reset();
+    setEvents([]);
+    setHighlightedItemId(null);
+  }
+
+  const elapsed = player.position > 0 ? recordingOffset(recording, player.position - 1) : 0;
+  const duration = recording?.length ? recordingOffset(recording, recording.length - 1) : 0;
+
+  return (
+    <>
+      <Nav title="session replay">
+        <Link to="/review" className="text-blue-600 hover:underline">
+          all intakes
+        </Link>
+        <LogoutButton />
+      </Nav>
+      <main className="absolute top-16 left-0 right-0 bottom-0">
+        <section className="absolute top-0 left-0 right-0 h-16 px-4 flex items-center gap-4 text-sm">
+          <label className="text-gray-600">
+            <input
+              type="file"
+              accept=".jsonl,.json,application/x-ndjson,application/json"
+              className="text-xs"
+              onChange={(e) => loadFile(e.target.files[0])}
+            />
+          </label>
+          {recording && (
+            <>
+              <span className="text-gray-500">{source}</span>
+              {player.isPlaying ? (
+                <Button onClick={() => replay.current.pause()} icon={<Pause height={16} />} className="py-2">
+                  pause
+                </Button>
+              ) : (
+                <Button
+                  onClick={() => replay.current.play()}
+                  icon={<Play height={16} />}
+                  className="py-2 bg-blue-600"
+                >
+                  play
+                </Button>
+              )}
+              <Button onClick={() => replay.current.step()} icon={<SkipForward height={16} />} className="py-2">
+                step
+              </Button>
+              <Button onClick={restart} icon={<RotateCcw height={16} />} className="py-2">
+                restart
+              </Button>
+              <select
+                value={player.speed}
+                onChange={(e) => replay.current.setSpeed(Number(e.target.value))}
+                className="border border-gray-200 rounded-md p-1"
+              >
+                {SPEEDS.map((speed) => (
+                  <option key={speed} value={speed}>
+                    {speed}x
+                  </option>
+                ))}
+              </select>
+              <span className="text-gray-600">
+                event {player.position} / {player.total} | {formatOffset(elapsed)} /{" "}
+                {formatOffset(duration)}
+              </span>
+            </>
+          )}
+          {!recording && !error && (
+            <span className="text-gray-500">
+              {id ? "Loading session events..." : "Choose a JSONL recording to replay."}
+            </span>
+          )}
+          {error && <span className="text-red-600">{error}</span>}
+        </section>
+        <section className="absolute top-16 left-0 w-[380px] bottom-0 p-4 pt-0 overflow-y-auto">
+          <ToolPanel events={events} intake={intake} onSelectSource={setHighlightedItemId} />
+        </section>
+        <section className="absolute top-16 left-[380px] w-[380px] bottom-0 p-4 pt-0 overflow-y-auto">
+          <TranscriptManager
+            events={events}
+            embedded={true}
+            highlightedItemId={highlightedItemId}
+            intake={intake}
+            sessionId={id || null}
+          />
+        </section>
+        <section className="absolute top-16 left-[760px] right-0 bottom-0 px-4 overflow-y-auto">
+          <EventLog events={events} sessionId={id || null} />
+        </section>
+      </main>
+    </>
+  );
+}
@@ -0,0 +1,154 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { AlertTriangle, CheckCircle, Flag } from "react-feather";
+import Nav from "./Nav";
+import { LogoutButton, SESSION_READER_ROLES, useAuth } from "./Auth";
+import { redFlagLabel } from "../lib/redFlags.js";
+
+export function formatDuration(startedAt, endedAt) {
+  if (!startedAt || !endedAt) return "-";
+  const seconds = Math.round((new Date(endedAt) - new Date(startedAt)) / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}m ${String(seconds % 60).padStart(2, "0")}s`;
+}
+
+// An emergency red flag raised during the session
+export function RedFlagBadge({ flag, onClick }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={!onClick}
+      title={flag.excerpt ? `"${flag.excerpt}" (${flag.source})` : flag.source}
+      className="flex items-center gap-1 text-xs bg-red-600 text-white rounded-full px-2 py-0.5"
+    >
+      <AlertTriangle size={10} />
+      {redFlagLabel(flag.category)}
+    </button>
+  );
+}
+
+// Front desk staff see the list but cannot open an intake, so their rows are
+// not links
+function SessionRow({ session, canOpen }) {
+  const patient = session.metadata?.patientId || "unidentified";
+  return (
+    <tr className="border-b border-gray-200 hover:bg-white">
+      <td className="p-2">
+        {canOpen ? (
+          <Link to={`/review/${session.id}`} className="text-blue-600 hover:underline">
+            {patient}
+          </Link>
+        ) : (
+          patient
+        )}
+      </td>
+      <td className="p-2">{new Date(session.startedAt).toLocaleString()}</td>
+      <td className="p-2">{formatDuration(session.startedAt, session.endedAt)}</td>
+      <td className="p-2">
+        {session.protocol ? `${session.protocol.id} v${session.protocol.version}` : "-"}
+      </td>
+      <td className="p-2">{session.status}</td>
+      <td className="p-2">
+        <div className="flex flex-wrap gap-1">
+          {(session.redFlags || []).map((flag) => (
+            <RedFlagBadge key={flag.id} flag={flag} />
+          ))}
+          {(session.flags || []).map((flag) => (
+            <span
+              key={flag}
+              className="flex items-center gap-1 text-xs bg-yellow-100 text-yellow-800 rounded-full px-2 py-0.5"
+            >
+              <Flag size={10} />
+              {flag}
+            </span>
+          ))}
+        </div>
+      </td>
+      <td className="p-2">
+        {session.review ? (
+          <span className="flex items-center gap-1 text-green-700">
+            <CheckCircle size={14} />
+            {session.review.reviewedBy}
+          </span>
+        ) : (
+          <span className="text-gray-400">pending</span>
+        )}
+      </td>
+    </tr>
+  );
+}
+
+export default function ReviewDashboard() {
+  const { principal } = useAuth();
+  const canOpen = SESSION_READER_ROLES.includes(principal?.role);
+  const [sessions, setSessions] = useState(null);
+  const [error, setError] = useState(null);
+  const [showActive, setShowActive] = useState(false);
+
+  useEffect(() => {
+    fetch("/api/sessions")
+      .then((r) => {
+        if (!r.ok) throw new Error(`Failed to load intakes: ${r.status}`);
+        return r.json();
+      })
+      .then(setSessions)
+      .catch((err) => {
+        console.error(err);
+        setError(err.message);
+      });
+  }, []);
+
+  const visible = (sessions || []).filter(
+    (session) => showActive || session.status === "completed",
+  );
+
+  return (
+    <>
+      <Nav title="intake review">
+        <Link to="/" className="text-blue-600 hover:underline">
+          live console
+        </Link>
+        <LogoutButton />
+      </Nav>
+      <main className="absolute top-16 left-0 right-0 bottom-0 p-4 overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-bold">Completed intakes</h2>
+          <label className="flex items-center gap-1 text-xs text-gray-600 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={showActive}
+              onChange={(e) => setShowActive(e.target.checked)}
+            />
+            Include unfinished sessions
+          </label>
+        </div>
+        {error && <p className="text-red-600">{error}</p>}
+        {!sessions && !error && <p className="text-gray-500">Loading intakes...</p>}
+        {sessions && visible.length === 0 && (
+          <p className="text-gray-500">No intakes to review yet.</p>
+        )}
+        {visible.length > 0 && (
+          <table className="w-full text-sm text-left bg-gray-50 rounded-md">
+            <thead className="text-xs uppercase text-gray-600 border-b border-gray-300">
+              <tr>
+                <th className="p-2">Patient</th>
+                <th className="p-2">Started</th>
+                <th className="p-2">Duration</th>
+                <th className="p-2">Protocol</th>
+                <th className="p-2">Status</th>
+                <th className="p-2">Flags</th>
+                <th className="p-2">Reviewed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map((session) => (
+                <SessionRow key={session.id} session={session} canOpen={canOpen} />
+              ))}
+            </tbody>
+          </table>
+        )}
+      </main>
+    </>
+  );
+}
@@ -1,31 +1,168 @@
-import { useState } from "react";
-import { CloudLightning, CloudOff, MessageSquare } from "react-feather";
+import { useEffect, useState } from "react";
+import {
+  CloudLightning,
+  CloudOff,
+  FileText,
+  Mic,
+  MessageSquare,
+  RefreshCw,
+  Send,
+  WifiOff,
+} from "react-feather";
 import Button from "./Button";
+import ConsentScreen from "./ConsentScreen";
+import { MicrophoneLevel, MicrophoneSelect, MuteButton } from "./MicrophoneControls";
+import SessionSettings, {
+  EMPTY_SETTINGS,
+  requestedConfig,
+  settingsErrors,
+  useSessionConfigOptions,
+} from "./SessionSettings";
 
-function SessionStopped({ startSession }) {
+function SessionStopped({ startSession, declineSession, connectionState, microphone }) {
   const [isActivating, setIsActivating] = useState(false);
+  const [isConsentOpen, setIsConsentOpen] = useState(false);
+  const [patientId, setPatientId] = useState("");
+  const [protocols, setProtocols] = useState([]);
+  const [protocolId, setProtocolId] = useState("");
+  const [settings, setSettings] = useState(EMPTY_SETTINGS);
+  const configOptions = useSessionConfigOptions();
 
+  useEffect(() => {
+    fetch("/api/protocols")
+      .then((r) => (r.ok ? r.json() : Promise.reject(r.status)))
+      .then((data) => {
+        setProtocols(data.protocols);
+        setProtocolId(data.default);
+      })
+      .catch((err) => console.error("Failed to load intake protocols:", err));
+  }, []);
+
+  // Nothing is recorded until the patient has agreed on the consent screen
   function handleStartSession() {
     if (isActivating) return;
+    const errors = settingsErrors(settings, configOptions);
+    if (errors.length > 0) {
+      alert(`Check the session settings:\n${errors.join("\n")}`);
+      return;
+    }
+    setIsConsentOpen(true);
+  }
 
+  function handleAccept(consent) {
     setIsActivating(true);
-    startSession();
+    startSession({
+      patientId: patientId.trim() || null,
+      protocolId: protocolId || null,
+      config: requestedConfig(settings),
+      consent,
+    }).finally(() => {
+      setIsActivating(false);
+      setIsConsentOpen(false);
+    });
   }
 
+  function handleDecline(consent) {
+    return declineSession({
+      patientId: patientId.trim() || null,
+      protocolId: protocolId || null,
+      consent,
+    });
+  }
+
+  function handleConsentDone() {
+    setIsConsentOpen(false);
+    setPatientId("");
+  }
+
+  const isStarting =
+    isActivating || connectionState === "connecting" || connectionState === "reconnecting";
+
   return (
-    <div className="flex items-center justify-center w-full h-full">
+    <div className="flex items-center justify-center w-full h-full gap-4">
+      <input
+        type="text"
+        placeholder="patient id (optional)"
+        className="border border-gray-200 rounded-full p-4"
+        value={patientId}
+        onChange={(e) => setPatientId(e.target.value)}
+      />
+      <select
+        className="border border-gray-200 rounded-full p-4 bg-white"
+        value={protocolId}
+        onChange={(e) => setProtocolId(e.target.value)}
+        title="Intake protocol"
+      >
+        {protocols.map((p) => (
+          <option key={p.id} value={p.id}>
+            {p.name} (v{p.version})
+          </option>
+        ))}
+      </select>
+      <SessionSettings settings={settings} setSettings={setSettings} options={configOptions} />
+      <MicrophoneSelect microphone={microphone} />
       <Button
         onClick={handleStartSession}
-        className={isActivating ? "bg-gray-600" : "bg-red-600"}
+        className={isStarting ? "bg-gray-600" : "bg-red-600"}
         icon={<CloudLightning height={16} />}
       >
-        {isActivating ? "starting session..." : "start session"}
+        {isStarting ? "starting session..." : "start session"}
       </Button>
+      {isConsentOpen && (
+        <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-40">
+          <div className="bg-white rounded-md shadow-lg max-w-[95vw] max-h-[90vh] overflow-y-auto p-6">
+            <ConsentScreen
+              isStarting={isStarting}
+              onAccept={handleAccept}
+              onDecline={handleDecline}
+              onDone={handleConsentDone}
+            />
+          </div>
+        </div>
+      )}
     </div>
   );
 }
 
-function SessionActive({ stopSession, sendTextMessage }) {
+// Hold to talk; releasing the button ends the patient's turn
+function TalkButton({ startTalking, stopTalking }) {
+  const [isTalking, setIsTalking] = useState(false);
+  const start = (e) => {
+    e.preventDefault();
+    setIsTalking(true);
+    startTalking();
+  };
+  const stop = () => {
+    if (!isTalking) return;
+    setIsTalking(false);
+    stopTalking();
+  };
+  return (
+    <button
+      onPointerDown={start}
+      onPointerUp={stop}
+      onPointerLeave={stop}
+      onPointerCancel={stop}
+      className={`rounded-full p-4 flex items-center gap-1 text-white select-none touch-none ${
+        isTalking ? "bg-green-600" : "bg-gray-800"
+      }`}
+    >
+      <Mic height={16} />
+      {isTalking ? "release to send" : "hold to talk"}
+    </button>
+  );
+}
+
+function SessionActive({
+  stopSession,
+  sendTextMessage,
+  microphone,
+  turnTaking,
+  requestResponse,
+  startTalking,
+  stopTalking,
+  onFinishIntake,
+}) {
   const [message, setMessage] = useState("");
 
   function handleSendClientEvent() {
@@ -43,7 +180,7 @@ function SessionActive({ stopSession, sendTextMessage }) {
         }}
         type="text"
         placeholder="send a text message..."
-        className="border border-gray-200 rounded-full p-4 flex-1"
+        className="border border-gray-200 rounded-full p-4 flex-1 min-w-0"
         value={message}
         onChange={(e) => setMessage(e.target.value)}
       />
@@ -58,6 +195,22 @@ function SessionActive({ stopSession, sendTextMessage }) {
       >
         send text
       </Button>
+      {turnTaking.mode === "push_to_talk" && (
+        <TalkButton startTalking={startTalking} stopTalking={stopTalking} />
+      )}
+      {turnTaking.mode === "manual" && (
+        <Button onClick={requestResponse} icon={<Send height={16} />} className="bg-green-600">
+          reply now
+        </Button>
+      )}
+      <div className="flex flex-col items-center gap-1">
+        <MuteButton microphone={microphone} />
+        <MicrophoneLevel stream={microphone.stream} className="w-12 h-1" />
+      </div>
+      <MicrophoneSelect microphone={microphone} />
+      <Button onClick={onFinishIntake} icon={<FileText height={16} />} className="bg-green-700">
+        finish intake
+      </Button>
       <Button onClick={stopSession} icon={<CloudOff height={16} />}>
         disconnect
       </Button>
@@ -65,25 +218,85 @@ function SessionActive({ stopSession, sendTextMessage }) {
   );
 }
 
+// Shown instead of the message box while the connection is being restored;
+// the conversation so far is kept and handed to the new connection
+function SessionReconnecting({ connectionState, retryConnection, stopSession }) {
+  const failed = connectionState === "failed";
+  return (
+    <div className="flex items-center justify-center w-full h-full gap-4">
+      <div
+        className={`flex items-center gap-2 flex-1 rounded-full p-4 ${
+          failed ? "bg-red-100 text-red-800" : "bg-yellow-100 text-yellow-800"
+        }`}
+        role="status"
+      >
+        {failed ? (
+          <WifiOff height={16} />
+        ) : (
+          <RefreshCw height={16} className="animate-spin" />
+        )}
+        {failed
+          ? "Connection lost. The conversation so far is saved."
+          : "Connection lost, reconnecting... please wait."}
+      </div>
+      {failed && (
+        <Button onClick={retryConnection} icon={<RefreshCw height={16} />} className="bg-blue-400">
+          try again
+        </Button>
+      )}
+      <Button onClick={stopSession} icon={<CloudOff height={16} />}>
+        end session
+      </Button>
+    </div>
+  );
+}
+
 export default function SessionControls({
   startSession,
+  declineSession,
   stopSession,
   sendClientEvent,
   sendTextMessage,
   serverEvents,
   isSessionActive,
+  connectionState,
+  retryConnection,
+  microphone,
+  turnTaking,
+  requestResponse,
+  startTalking,
+  stopTalking,
+  onFinishIntake,
 }) {
+  const isInterrupted = connectionState === "reconnecting" || connectionState === "failed";
   return (
     <div className="flex gap-4 border-t-2 border-gray-200 h-full rounded-md">
-      {isSessionActive ? (
+      {isSessionActive && isInterrupted ? (
+        <SessionReconnecting
+          connectionState={connectionState}
+          retryConnection={retryConnection}
+          stopSession={stopSession}
+        />
+      ) : isSessionActive ? (
         <SessionActive
           stopSession={stopSession}
           sendClientEvent={sendClientEvent}
           sendTextMessage={sendTextMessage}
           serverEvents={serverEvents}
+          microphone={microphone}
+          turnTaking={turnTaking}
+          requestResponse={requestResponse}
+          startTalking={startTalking}
+          stopTalking={stopTalking}
+          onFinishIntake={onFinishIntake}
         />
       ) : (
-        <SessionStopped startSession={startSession} />
+        <SessionStopped
+          startSession={startSession}
+          declineSession={declineSession}
+          connectionState={connectionState}
+          microphone={microphone}
+        />
       )}
     </div>
   );
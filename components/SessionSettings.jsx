@@ -0,0 +1,205 @@
+import { useEffect, useState } from "react";
+import { Settings } from "react-feather";
+import { DEFAULT_TURN_TAKING, TURN_MODES } from "../lib/turnTaking.js";
+import { resolveSessionConfig } from "../lib/sessionConfig.js";
+
+// Empty fields mean "use the default" (the server's, or the protocol's voice
+// and instructions)
+export const EMPTY_SETTINGS = {
+  model: "",
+  voice: "",
+  transcriptionModel: "",
+  output: "",
+  turnTaking: DEFAULT_TURN_TAKING,
+  instructions: "",
+};
+
+// Settings as sent with POST /api/sessions
+export function requestedConfig(settings) {
+  return {
+    ...(settings.model && { model: settings.model }),
+    ...(settings.voice && { voice: settings.voice }),
+    ...(settings.transcriptionModel && { transcriptionModel: settings.transcriptionModel }),
+    ...(settings.output && { modalities: [settings.output] }),
+    turnTaking: settings.turnTaking,
+    ...(settings.instructions.trim() && { instructions: settings.instructions }),
+  };
+}
+
+// Server defaults and admin limits for the settings panel
+export function useSessionConfigOptions() {
+  const [options, setOptions] = useState(null);
+  useEffect(() => {
+    fetch("/api/session-config")
+      .then((r) => (r.ok ? r.json() : Promise.reject(r.status)))
+      .then(setOptions)
+      .catch((err) => console.error("Failed to load session settings:", err));
+  }, []);
+  return options;
+}
+
+// Problems with the chosen settings, checked the same way the server does
+export function settingsErrors(settings, options) {
+  if (!options) return [];
+  return resolveSessionConfig({
+    defaults: options.defaults,
+    requested: requestedConfig(settings),
+    limits: options.limits,
+  }).errors;
+}
+
+function Field({ label, children }) {
+  return (
+    <label className="flex flex-col gap-1 text-xs text-gray-600">
+      {label}
+      {children}
+    </label>
+  );
+}
+
+function Choice({ value, onChange, choices, defaultLabel }) {
+  return (
+    <select
+      className="border border-gray-200 rounded-md p-2 bg-white text-sm text-gray-900"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      <option value="">{defaultLabel}</option>
+      {choices.map((choice) => (
+        <option key={choice} value={choice}>
+          {choice}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+// Per-session Realtime settings, limited to what an admin allows
+export default function SessionSettings({ settings, setSettings, options }) {
+  const [isOpen, setIsOpen] = useState(false);
+  if (!options) return null;
+  const { defaults, limits } = options;
+  const set = (field) => (value) => setSettings({ ...settings, [field]: value });
+  const setTurn = (field) => (e) =>
+    setSettings({ ...settings, turnTaking: { ...settings.turnTaking, [field]: e.target.value } });
+  const errors = settingsErrors(settings, options);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`rounded-full p-4 border border-gray-200 ${
+          errors.length ? "text-red-600" : "text-gray-600"
+        }`}
+        title="Session settings"
+        aria-expanded={isOpen}
+      >
+        <Settings height={16} />
+      </button>
+      {isOpen && (
+        <div className="absolute bottom-full right-0 mb-2 w-[420px] bg-white border border-gray-200 rounded-md shadow-lg p-4 flex flex-col gap-3 z-10">
+          <h3 className="font-semibold text-sm">Session settings</h3>
+          <div className="grid grid-cols-2 gap-3">
+            <Field label="Model">
+              <Choice
+                value={settings.model}
+                onChange={set("model")}
+                choices={limits.models}
+                defaultLabel={`default (${defaults.model})`}
+              />
+            </Field>
+            <Field label="Voice">
+              <Choice
+                value={settings.voice}
+                onChange={set("voice")}
+                choices={limits.voices}
+                defaultLabel="protocol voice"
+              />
+            </Field>
+            <Field label="Transcription">
+              <Choice
+                value={settings.transcriptionModel}
+                onChange={set("transcriptionModel")}
+                choices={limits.transcriptionModels}
+                defaultLabel={`default (${defaults.transcriptionModel})`}
+              />
+            </Field>
+            <Field label="Replies">
+              <Choice
+                value={settings.output}
+                onChange={set("output")}
+                choices={limits.modalities}
+                defaultLabel={`default (${defaults.modalities.join(", ")})`}
+              />
+            </Field>
+            <Field label="Turn-taking">
+              <select
+                className="border border-gray-200 rounded-md p-2 bg-white text-sm text-gray-900"
+                value={settings.turnTaking.mode}
+                onChange={setTurn("mode")}
+              >
+                {TURN_MODES.filter(
+                  ({ id }) => limits.turnModes.includes(id) || id === defaults.turnTaking.mode,
+                ).map((mode) => (
+                  <option key={mode.id} value={mode.id}>
+                    {mode.label}
+                  </option>
+                ))}
+              </select>
+            </Field>
+            {settings.turnTaking.mode !== "push_to_talk" && (
+              <>
+                <Field label="Silence before turn ends (ms)">
+                  <input
+                    type="number"
+                    min={limits.silenceDurationMs.min}
+                    max={limits.silenceDurationMs.max}
+                    step={100}
+                    className="border border-gray-200 rounded-md p-2 text-sm text-gray-900"
+                    value={settings.turnTaking.silenceDurationMs}
+                    onChange={setTurn("silenceDurationMs")}
+                  />
+                </Field>
+                <Field label="Speech threshold (0-1)">
+                  <input
+                    type="number"
+                    min={0}
+                    max={1}
+                    step={0.05}
+                    className="border border-gray-200 rounded-md p-2 text-sm text-gray-900"
+                    value={settings.turnTaking.threshold}
+                    onChange={setTurn("threshold")}
+                  />
+                </Field>
+              </>
+            )}
+          </div>
+          {limits.allowCustomInstructions && (
+            <Field label="Instructions (empty uses the protocol's)">
+              <textarea
+                rows={4}
+                maxLength={limits.maxInstructionsLength}
+                className="border border-gray-200 rounded-md p-2 text-sm text-gray-900"
+                value={settings.instructions}
+                onChange={(e) => set("instructions")(e.target.value)}
+              />
+            </Field>
+          )}
+          {errors.length > 0 && (
+            <ul className="text-xs text-red-600 list-disc pl-4">
+              {errors.map((error) => (
+                <li key={error}>{error}</li>
+              ))}
+            </ul>
+          )}
+          <button
+            onClick={() => setSettings(EMPTY_SETTINGS)}
+            className="self-start text-xs text-blue-600 hover:underline"
+          >
+            reset to defaults
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { AlertTriangle } from "react-feather";
+import { SESSION_READER_ROLES, useAuth } from "./Auth";
+import { redFlagLabel } from "../lib/redFlags.js";
+
+// A short two-tone beep, so an alert is noticed on a screen nobody is
+// looking at. Browsers only allow it after the page has been interacted with.
+function beep() {
+  try {
+    const context = new AudioContext();
+    [880, 660].forEach((frequency, i) => {
+      const oscillator = context.createOscillator();
+      oscillator.frequency.value = frequency;
+      oscillator.connect(context.destination);
+      oscillator.start(context.currentTime + i * 0.25);
+      oscillator.stop(context.currentTime + i * 0.25 + 0.2);
+    });
+    setTimeout(() => context.close(), 1000);
+  } catch (err) {
+    console.error("Failed to play alert sound:", err);
+  }
+}
+
+function AlertCard({ alert, canOpen, onAcknowledge }) {
+  const { flag, patientId, sessionId, raisedBy } = alert;
+  return (
+    <div className="bg-red-600 text-white rounded-md shadow-lg p-4 flex flex-col gap-2" role="alert">
+      <div className="flex items-center gap-2 font-bold">
+        <AlertTriangle size={20} />
+        {redFlagLabel(flag.category)}
+        <span className="ml-auto text-xs font-normal">
+          {new Date(flag.raisedAt).toLocaleTimeString()}
+        </span>
+      </div>
+      <p className="text-sm">
+        {patientId || "Unidentified patient"} at{" "}
+        {raisedBy.kind === "kiosk" ? `kiosk ${raisedBy.id}` : `${raisedBy.id}'s console`}
+      </p>
+      {flag.excerpt && <blockquote className="text-sm italic">"{flag.excerpt}"</blockquote>}
+      {flag.reason && <p className="text-xs">{flag.reason}</p>}
+      <div className="flex items-center gap-4 text-sm">
+        <button
+          onClick={onAcknowledge}
+          className="bg-white text-red-700 font-semibold rounded-md px-3 py-1"
+        >
+          Acknowledge
+        </button>
+        {canOpen && (
+          <Link to={`/review/${sessionId}`} className="underline">
+            open session
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Red flag alerts from every running session, pushed by the server while a
+// staff member is logged in. Alerts stay on screen until acknowledged.
+export default function StaffAlerts() {
+  const { principal } = useAuth();
+  const [alerts, setAlerts] = useState([]);
+  const isStaff = principal?.kind === "staff";
+
+  useEffect(() => {
+    if (!isStaff) return;
+    const source = new EventSource("/api/alerts/stream");
+    source.addEventListener("red_flag", (e) => {
+      const alert = JSON.parse(e.data);
+      setAlerts((prev) => [alert, ...prev]);
+      beep();
+    });
+    return () => source.close();
+  }, [isStaff]);
+
+  if (!isStaff || alerts.length === 0) return null;
+
+  return (
+    <div className="fixed top-4 right-4 w-96 max-h-[90vh] overflow-y-auto flex flex-col gap-2 z-50">
+      {alerts.map((alert) => (
+        <AlertCard
+          key={alert.flag.id}
+          alert={alert}
+          canOpen={SESSION_READER_ROLES.includes(principal.role)}
+          onAcknowledge={() =>
+            setAlerts((prev) => prev.filter(({ flag }) => flag.id !== alert.flag.id))
+          }
+        />
+      ))}
+    </div>
+  );
+}
@@ -1,69 +1,179 @@
 import { useEffect, useState } from "react";
+import { AlertTriangle } from "react-feather";
+import { INTAKE_SECTIONS, describeIntakeEntry } from "../lib/intake.js";
+import { allergyConflicts } from "../lib/medications.js";
+import { languageName, translateTexts } from "../lib/translation.js";
 
-const functionDescription = `
-Call this function when a user asks for a color palette.
-`;
+function findTurnText(events, itemId) {
+  const event = events.find(
+    (e) =>
+      (e.type === "conversation.item.input_audio_transcription.completed" &&
+        e.item_id === itemId) ||
+      (e.type === "conversation.item.create" && e.item?.id === itemId),
+  );
+  return event?.transcript || event?.item?.content?.[0]?.text || null;
+}
 
-const sessionUpdate = {
-  type: "session.update",
-  session: {
-    type: "realtime",
-    tools: [
-      {
-        type: "function",
-        name: "display_color_palette",
-        description: functionDescription,
-        parameters: {
-          type: "object",
-          strict: true,
-          properties: {
-            theme: {
-              type: "string",
-              description: "Description of the theme for the color scheme.",
-            },
-            colors: {
-              type: "array",
-              description: "Array of five hex color codes based on the theme.",
-              items: {
-                type: "string",
-                description: "Hex color code",
-              },
-            },
-          },
-          required: ["theme", "colors"],
-        },
-      },
-    ],
-    tool_choice: "auto",
-  },
-};
+// text -> its version in `target` (the text itself once known to be in it)
+function useTranslations(texts, target) {
+  const [translated, setTranslated] = useState({});
+  const key = `${target}\u0000${texts.join("\u0000")}`;
 
-function FunctionCallOutput({ functionCallOutput }) {
-  const { theme, colors } = JSON.parse(functionCallOutput.arguments);
+  useEffect(() => {
+    if (!target) return;
+    const missing = texts.filter((text) => !(`${target}:${text}` in translated));
+    if (missing.length === 0) return;
+    translateTexts(missing, target)
+      .then((results) =>
+        setTranslated((prev) => ({
+          ...prev,
+          ...Object.fromEntries(
+            missing.map((text, index) => [
+              `${target}:${text}`,
+              results[index].translation || text,
+            ]),
+          ),
+        })),
+      )
+      .catch((err) => console.error("Failed to translate intake:", err));
+  }, [key]);
+
+  return (text) => translated[`${target}:${text}`] ?? text;
+}
 
-  const colorBoxes = colors.map((color) => (
-    <div
-      key={color}
-      className="w-full h-16 rounded-md flex items-center justify-center border border-gray-200"
-      style={{ backgroundColor: color }}
+// What the drug vocabulary made of a medication or allergy
+function NormalizedEntry({ normalized }) {
+  if (!normalized) return null;
+  if (normalized.status === "not_found") {
+    return <span className="text-xs text-yellow-700">not in the drug vocabulary</span>;
+  }
+  const text = normalized.name
+    ? [normalized.name, normalized.strength, normalized.form, normalized.frequency]
+        .filter(Boolean)
+        .join(", ")
+    : normalized.classes.join(", ");
+  return (
+    <span
+      className={`text-xs ${normalized.status === "matched" ? "text-gray-500" : "text-yellow-700"}`}
     >
-      <p className="text-sm font-bold text-black bg-slate-100 rounded-md p-2 border border-black">
-        {color}
-      </p>
+      {normalized.status === "matched" ? text : `unconfirmed: ${text}?`}
+    </span>
+  );
+}
+
+function AllergyConflicts({ conflicts }) {
+  if (conflicts.length === 0) return null;
+  return (
+    <div className="flex flex-col gap-1 bg-red-50 border border-red-200 rounded-md p-2 text-sm text-red-800">
+      <h3 className="flex items-center gap-1 text-xs font-semibold uppercase">
+        <AlertTriangle size={12} />
+        Allergy cross-check
+      </h3>
+      {conflicts.map((conflict) => (
+        <p key={`${conflict.allergyId}:${conflict.medicationId}`}>
+          {conflict.severity === "caution" ? "Caution: " : ""}
+          {conflict.reason}
+        </p>
+      ))}
     </div>
-  ));
+  );
+}
 
+function IntakeSection({ section, entries, events, onSelectSource, translations }) {
   return (
-    <div className="flex flex-col gap-2">
-      <p>Theme: {theme}</p>
-      {colorBoxes}
-      <pre className="text-xs bg-gray-100 rounded-md p-2 overflow-x-auto">
-        {JSON.stringify(functionCallOutput, null, 2)}
-      </pre>
+    <div className="flex flex-col gap-1">
+      <h3 className="text-xs font-semibold uppercase text-gray-600">
+        {section.label}
+      </h3>
+      {entries.length === 0 ? (
+        <p className="text-xs text-gray-400">Nothing recorded yet</p>
+      ) : (
+        entries.map((entry) => {
+          const quote = entry.source && findTurnText(events, entry.source.itemId);
+          return (
+            <div
+              key={entry.id}
+              className="flex items-start justify-between gap-2 text-sm bg-white rounded-md p-2 border border-gray-200"
+            >
+              {translations ? (
+                <div className="grid grid-cols-2 gap-2 flex-1">
+                  <span>{translations.patient(describeIntakeEntry(section.key, entry))}</span>
+                  <span className="border-l border-gray-300 pl-2">
+                    {translations.clinic(describeIntakeEntry(section.key, entry))}
+                    <br />
+                    <NormalizedEntry normalized={entry.normalized} />
+                  </span>
+                </div>
+              ) : (
+                <div className="flex flex-col flex-1">
+                  <span>{describeIntakeEntry(section.key, entry)}</span>
+                  <NormalizedEntry normalized={entry.normalized} />
+                </div>
+              )}
+              {entry.source && (
+                <button
+                  className="text-xs text-blue-600 hover:underline shrink-0"
+                  title={quote ? `Patient said: "${quote}"` : "Show source turn"}
+                  onClick={() => onSelectSource(entry.source.itemId)}
+                >
+                  source
+                </button>
+              )}
+            </div>
+          );
+        })
+      )}
     </div>
   );
 }
 
-export default function ToolPanel() {
-  return null;
+// `languages` ({ patient, clinic }) shows the summary side by side in both
+// languages when the patient did not speak the clinic language
+export default function ToolPanel({
+  isSessionActive,
+  events,
+  intake,
+  onSelectSource,
+  languages = null,
+}) {
+  const bilingual = Boolean(
+    languages?.patient && languages.clinic && languages.patient !== languages.clinic,
+  );
+  const descriptions = bilingual
+    ? INTAKE_SECTIONS.flatMap((section) =>
+        (intake[section.key] || []).map((entry) => describeIntakeEntry(section.key, entry)),
+      )
+    : [];
+  const patient = useTranslations(descriptions, bilingual ? languages.patient : null);
+  const clinic = useTranslations(descriptions, bilingual ? languages.clinic : null);
+
+  return (
+    <section className="h-full w-full flex flex-col gap-4">
+      <div className="h-full bg-gray-50 rounded-md p-4 overflow-y-auto flex flex-col gap-4">
+        <h2 className="text-lg font-bold">Patient Intake</h2>
+        {bilingual && (
+          <div className="grid grid-cols-2 gap-2 text-xs uppercase text-gray-500 pr-14">
+            <span>{languageName(languages.patient)}</span>
+            <span className="pl-2">{languageName(languages.clinic)}</span>
+          </div>
+        )}
+        <AllergyConflicts conflicts={allergyConflicts(intake)} />
+        {isSessionActive === false && (
+          <p className="text-xs text-gray-500">
+            Start the session to fill the intake form...
+          </p>
+        )}
+        {INTAKE_SECTIONS.map((section) => (
+          <IntakeSection
+            key={section.key}
+            section={section}
+            entries={intake[section.key] || []}
+            events={events}
+            onSelectSource={onSelectSource}
+            translations={bilingual ? { patient, clinic } : null}
+          />
+        ))}
+      </div>
+    </section>
+  );
 }
@@ -1,12 +1,52 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Download, Copy, Trash2, Eye, EyeOff } from 'lucide-react';
-
-const TranscriptManager = ({ events, embedded = false }) => {
-  const [transcript, setTranscript] = useState([]);
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Download, Copy, Trash2, Eye, EyeOff, FileJson, Play, Pause } from 'lucide-react';
+import { audioSegments, entrySegment } from '../lib/audioRecording.js';
+import { buildIntakeBundle } from '../lib/fhir.js';
+import { downloadFile, formatTranscriptText } from '../lib/transcript.js';
+import { createRedactor } from '../lib/redact.js';
+import { isBilingual, languageName } from '../lib/translation.js';
+import useTranscript from './useTranscript';
+
+// MediaRecorder files carry no duration, and browsers will not seek in them
+// until they know it: jump past the end once so the whole file is scanned
+function loadForSeeking(el, url) {
+  return new Promise((resolve, reject) => {
+    el.addEventListener('error', () => reject(el.error), { once: true });
+    el.addEventListener('loadedmetadata', () => {
+      if (el.duration !== Infinity) return resolve();
+      el.addEventListener('durationchange', () => resolve(), { once: true });
+      el.currentTime = 1e101;
+    }, { once: true });
+    el.src = url;
+  });
+}
+
+const TranscriptManager = ({
+  events,
+  embedded = false,
+  highlightedItemId = null,
+  intake = null,
+  patientId = null,
+  sessionId = null,
+  entries = null,
+  audio = null,
+  onTranscriptChange,
+}) => {
+  const { transcript, clearTranscript: resetTranscript } = useTranscript(events, entries);
   const [isVisible, setIsVisible] = useState(true);
   const [autoScroll, setAutoScroll] = useState(true);
+  const [redactExports, setRedactExports] = useState(true);
   const transcriptRef = useRef(null);
-  const processedEventIds = useRef(new Set());
+  // Playback of a turn from the session's recording. `audio` is
+  // { patient, assistant }, each { url, startedAt }; turns are located in it
+  // by the timing in `events`. One player per side, so switching between the
+  // patient and the receptionist does not reload a recording.
+  const players = useRef({});
+  const loadedUrls = useRef({});
+  const playing = useRef(null);
+  const stopAt = useRef(null);
+  const [playingId, setPlayingId] = useState(null);
+  const segments = useMemo(() => (audio ? audioSegments(events) : null), [audio, events]);
 
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
@@ -15,414 +55,138 @@ const TranscriptManager = ({ events, embedded = false }) => {
     }
   }, [transcript, autoScroll]);
 
-  // Process events from the main app
+  const bilingual = isBilingual(transcript);
+
   useEffect(() => {
-    if (!events || events.length === 0) {
-      setTranscript([]);
-      processedEventIds.current.clear();
-      return;
+    if (onTranscriptChange) {
+      onTranscriptChange(transcript);
     }
+  }, [transcript]);
 
-    // Only process the most recent event to avoid reprocessing history on every change
-    const event = events[0];
-    if (!event || processedEventIds.current.has(event.event_id)) {
-      return;
+  // Bring the turn an intake answer was taken from into view
+  useEffect(() => {
+    if (!highlightedItemId || !transcriptRef.current) return;
+    const el = transcriptRef.current.querySelector(`[data-item-id="${highlightedItemId}"]`);
+    if (el) {
+      setAutoScroll(false);
+      el.scrollIntoView({ behavior: 'smooth', block: 'center' });
     }
+  }, [highlightedItemId]);
 
-      let transcriptEntry = null;
-
-      switch (event.type) {
-        // ===== User text messages (typed) =====
-        case 'conversation.item.create':
-          // Handle text messages sent by user
-          if (event.item?.type === 'message' && event.item?.role === 'user') {
-            const content = event.item.content?.[0];
-            if (content?.type === 'input_text' && content?.text) {
-              transcriptEntry = {
-                id: event.event_id || Date.now() + Math.random(),
-                speaker: 'user',
-                message: content.text,
-                timestamp: new Date(),
-                type: 'user'
-              };
-            }
-          }
-          break;
-
-        // ===== User audio transcription (partial/live) =====
-        case 'conversation.item.input_audio_transcription.delta': {
-          const deltaText = event.delta || event.text;
-          if (deltaText) {
-            setTranscript(prev => {
-              const lastEntry = prev[prev.length - 1];
-              if (lastEntry && lastEntry.type === 'user' && lastEntry.isPartial) {
-                return [
-                  ...prev.slice(0, -1),
-                  { ...lastEntry, message: lastEntry.message + deltaText }
-                ];
-              } else {
-                return [...prev, {
-                  id: event.event_id || Date.now() + Math.random(),
-                  speaker: 'user',
-                  message: deltaText,
-                  timestamp: new Date(),
-                  type: 'user',
-                  isPartial: true
-                }];
-              }
-            });
-            processedEventIds.current.add(event.event_id);
-          }
-          return;
-        }
-
-        // Handle user audio transcription from different event names
-        case 'input_audio_buffer.speech_started':
-          // Mark that user is speaking - could add visual indicator
-          return;
-
-        case 'input_audio_buffer.speech_stopped':
-          // Mark that user stopped speaking - could add visual indicator  
-          return;
-
-        case 'input_audio_buffer.committed':
-          // Audio buffer committed, transcription should follow
-          return;
-
-        // Some runtimes emit buffer-level transcription deltas
-        case 'input_audio_buffer.transcription.delta': {
-          const deltaText = event.delta || event.text;
-          if (deltaText) {
-            setTranscript(prev => {
-              const lastEntry = prev[prev.length - 1];
-              if (lastEntry && lastEntry.type === 'user' && lastEntry.isPartial) {
-                return [
-                  ...prev.slice(0, -1),
-                  { ...lastEntry, message: lastEntry.message + deltaText }
-                ];
-              } else {
-                return [...prev, {
-                  id: event.event_id || Date.now() + Math.random(),
-                  speaker: 'user',
-                  message: deltaText,
-                  timestamp: new Date(),
-                  type: 'user',
-                  isPartial: true
-                }];
-              }
-            });
-            processedEventIds.current.add(event.event_id);
-          }
-          return;
-        }
-
-        // ===== User audio transcription (final) =====
-        case 'conversation.item.input_audio_transcription.completed':
-          // Handle user audio transcription
-          if (event.transcript) {
-            transcriptEntry = {
-              id: event.event_id || Date.now() + Math.random(),
-              speaker: 'user',
-              message: event.transcript,
-              timestamp: new Date(),
-              type: 'user'
-            };
-          }
-          break;
-
-        // Handle conversation item creation for user audio
-        case 'conversation.item.added':
-          if (event.item?.type === 'message' && event.item?.role === 'user') {
-            const content = event.item.content?.[0];
-            if (content?.type === 'input_audio' && content?.transcript) {
-              transcriptEntry = {
-                id: event.event_id || Date.now() + Math.random(),
-                speaker: 'user',
-                message: content.transcript,
-                timestamp: new Date(),
-                type: 'user'
-              };
-            }
-          }
-          break;
-
-        case 'input_audio_buffer.transcription.completed':
-          if (event.transcript) {
-            setTranscript(prev => {
-              const lastEntry = prev[prev.length - 1];
-              if (lastEntry && lastEntry.type === 'user' && lastEntry.isPartial) {
-                return [
-                  ...prev.slice(0, -1),
-                  { ...lastEntry, message: event.transcript, isPartial: false }
-                ];
-              } else {
-                return [...prev, {
-                  id: event.event_id || Date.now() + Math.random(),
-                  speaker: 'user',
-                  message: event.transcript,
-                  timestamp: new Date(),
-                  type: 'user'
-                }];
-              }
-            });
-            processedEventIds.current.add(event.event_id);
-          }
-          return;
-
-        // ===== Assistant audio transcript (partial/live) =====
-        case 'response.audio_transcript.delta':
-          // Handle partial assistant transcription
-          if (event.delta) {
-            setTranscript(prev => {
-              const lastEntry = prev[prev.length - 1];
-              if (lastEntry && lastEntry.type === 'assistant' && lastEntry.isPartial) {
-                return [
-                  ...prev.slice(0, -1),
-                  { ...lastEntry, message: lastEntry.message + event.delta }
-                ];
-              } else {
-                return [...prev, {
-                  id: event.event_id || Date.now() + Math.random(),
-                  speaker: 'assistant',
-                  message: event.delta,
-                  timestamp: new Date(),
-                  type: 'assistant',
-                  isPartial: true
-                }];
-              }
-            });
-            processedEventIds.current.add(event.event_id);
-          }
-          return;
-
-        // ===== Assistant audio transcript (partial/live) - alt name =====
-        case 'response.output_audio_transcript.delta': {
-          const delta = event.delta || event.text;
-          if (delta) {
-            setTranscript(prev => {
-              const lastEntry = prev[prev.length - 1];
-              if (lastEntry && lastEntry.type === 'assistant' && lastEntry.isPartial) {
-                return [
-                  ...prev.slice(0, -1),
-                  { ...lastEntry, message: lastEntry.message + delta }
-                ];
-              } else {
-                return [...prev, {
-                  id: event.event_id || Date.now() + Math.random(),
-                  speaker: 'assistant',
-                  message: delta,
-                  timestamp: new Date(),
-                  type: 'assistant',
-                  isPartial: true
-                }];
-              }
-            });
-            processedEventIds.current.add(event.event_id);
-          }
-          return;
-        }
-
-        // ===== Assistant audio transcript (final) =====
-        case 'response.audio_transcript.done':
-          // Handle complete assistant transcription
-          if (event.transcript) {
-            setTranscript(prev => {
-              const lastEntry = prev[prev.length - 1];
-              if (lastEntry && lastEntry.isPartial) {
-                return [
-                  ...prev.slice(0, -1),
-                  { ...lastEntry, message: event.transcript, isPartial: false }
-                ];
-              } else {
-                return [...prev, {
-                  id: event.event_id || Date.now() + Math.random(),
-                  speaker: 'assistant',
-                  message: event.transcript,
-                  timestamp: new Date(),
-                  type: 'assistant'
-                }];
-              }
-            });
-            processedEventIds.current.add(event.event_id);
-          }
-          return;
-
-        // ===== Assistant audio transcript (final) - alt name =====
-        case 'response.output_audio_transcript.done': {
-          const text = event.transcript || event.text;
-          if (text) {
-            setTranscript(prev => {
-              const lastEntry = prev[prev.length - 1];
-              if (lastEntry && lastEntry.isPartial) {
-                return [
-                  ...prev.slice(0, -1),
-                  { ...lastEntry, message: text, isPartial: false }
-                ];
-              } else {
-                return [...prev, {
-                  id: event.event_id || Date.now() + Math.random(),
-                  speaker: 'assistant',
-                  message: text,
-                  timestamp: new Date(),
-                  type: 'assistant'
-                }];
-              }
-            });
-            processedEventIds.current.add(event.event_id);
-          }
-          return;
-        }
-
-        // ===== Assistant text (partial/live) =====
-        case 'response.text.delta':
-          // Handle partial assistant text response
-          if (event.delta) {
-            setTranscript(prev => {
-              const lastEntry = prev[prev.length - 1];
-              if (lastEntry && lastEntry.type === 'assistant' && lastEntry.isPartial) {
-                return [
-                  ...prev.slice(0, -1),
-                  { ...lastEntry, message: lastEntry.message + event.delta }
-                ];
-              } else {
-                return [...prev, {
-                  id: event.event_id || Date.now() + Math.random(),
-                  speaker: 'assistant',
-                  message: event.delta,
-                  timestamp: new Date(),
-                  type: 'assistant',
-                  isPartial: true
-                }];
-              }
-            });
-            processedEventIds.current.add(event.event_id);
-          }
-          return;
-
-        // Common alternative event names for text
-        case 'response.output_text.delta': {
-          const delta = event.delta || event.text;
-          if (delta) {
-            setTranscript(prev => {
-              const lastEntry = prev[prev.length - 1];
-              if (lastEntry && lastEntry.type === 'assistant' && lastEntry.isPartial) {
-                return [
-                  ...prev.slice(0, -1),
-                  { ...lastEntry, message: lastEntry.message + delta }
-                ];
-              } else {
-                return [...prev, {
-                  id: event.event_id || Date.now() + Math.random(),
-                  speaker: 'assistant',
-                  message: delta,
-                  timestamp: new Date(),
-                  type: 'assistant',
-                  isPartial: true
-                }];
-              }
-            });
-            processedEventIds.current.add(event.event_id);
-          }
-          return;
-        }
-
-        case 'response.text.done':
-          // Handle complete assistant text response
-          if (event.text) {
-            setTranscript(prev => {
-              const lastEntry = prev[prev.length - 1];
-              if (lastEntry && lastEntry.isPartial) {
-                return [
-                  ...prev.slice(0, -1),
-                  { ...lastEntry, message: event.text, isPartial: false }
-                ];
-              } else {
-                return [...prev, {
-                  id: event.event_id || Date.now() + Math.random(),
-                  speaker: 'assistant',
-                  message: event.text,
-                  timestamp: new Date(),
-                  type: 'assistant'
-                }];
-              }
-            });
-            processedEventIds.current.add(event.event_id);
-          }
-          return;
-
-        case 'response.output_text.done': {
-          const text = event.text || event.output_text || event.transcript;
-          if (text) {
-            setTranscript(prev => {
-              const lastEntry = prev[prev.length - 1];
-              if (lastEntry && lastEntry.isPartial) {
-                return [
-                  ...prev.slice(0, -1),
-                  { ...lastEntry, message: text, isPartial: false }
-                ];
-              } else {
-                return [...prev, {
-                  id: event.event_id || Date.now() + Math.random(),
-                  speaker: 'assistant',
-                  message: text,
-                  timestamp: new Date(),
-                  type: 'assistant'
-                }];
-              }
-            });
-            processedEventIds.current.add(event.event_id);
-          }
-          return;
-        }
-      }
+  // Transcript (and intake) as they should leave the console: with PHI masked
+  // unless staff explicitly chose a full export
+  const exportable = () => {
+    if (!redactExports) {
+      return { entries: transcript, intake, patientId };
+    }
+    const redactor = createRedactor();
+    return {
+      entries: transcript.map(entry => ({
+        ...entry,
+        message: redactor.redactText(entry.message),
+        translation: entry.translation && redactor.redactText(entry.translation)
+      })),
+      intake: intake && redactor.redactValue(intake),
+      patientId: null
+    };
+  };
 
-      // Add transcript entry if one was created
-      if (transcriptEntry) {
-        setTranscript(prev => [...prev, transcriptEntry]);
-        processedEventIds.current.add(event.event_id);
-      }
-  
-  }, [events]);
+  // Exports leave the server's view, so report them for the audit trail
+  const reportAccess = (action) => {
+    if (!sessionId) return;
+    fetch(`/api/sessions/${sessionId}/access`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action, details: { redacted: redactExports } })
+    }).catch(err => console.error('Failed to report transcript access:', err));
+  };
 
   // Export transcript as text file
   const exportTranscript = () => {
-    const transcriptText = transcript.map(entry => {
-      const time = entry.timestamp.toLocaleTimeString();
-      const speaker = entry.speaker.charAt(0).toUpperCase() + entry.speaker.slice(1);
-      return `[${time}] ${speaker}: ${entry.message}`;
-    }).join('\n\n');
+    reportAccess('transcript.download');
+    downloadFile(
+      formatTranscriptText(exportable().entries),
+      `conversation-transcript-${new Date().toISOString().split('T')[0]}.txt`,
+      'text/plain'
+    );
+  };
 
-    const blob = new Blob([transcriptText], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `conversation-transcript-${new Date().toISOString().split('T')[0]}.txt`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  // Export transcript and structured intake as a FHIR R4 Bundle
+  const exportFhirBundle = () => {
+    reportAccess('fhir.download');
+    const data = exportable();
+    const bundle = buildIntakeBundle({
+      intake: data.intake,
+      transcript: data.entries,
+      patientId: data.patientId
+    });
+    downloadFile(
+      JSON.stringify(bundle, null, 2),
+      `intake-fhir-${new Date().toISOString().split('T')[0]}.json`,
+      'application/fhir+json'
+    );
   };
 
   // Copy transcript to clipboard
   const copyTranscript = async () => {
-    const transcriptText = transcript.map(entry => {
-      const time = entry.timestamp.toLocaleTimeString();
-      const speaker = entry.speaker.charAt(0).toUpperCase() + entry.speaker.slice(1);
-      return `[${time}] ${speaker}: ${entry.message}`;
-    }).join('\n\n');
+    const transcriptText = formatTranscriptText(exportable().entries);
 
     try {
       await navigator.clipboard.writeText(transcriptText);
+      reportAccess('transcript.copy');
       alert('Transcript copied to clipboard!');
     } catch (err) {
       console.error('Failed to copy transcript:', err);
     }
   };
 
+  const segmentOf = (entry) => {
+    const segment = segments && !entry.isPartial && entrySegment(segments, entry);
+    const source = segment && audio[segment.side];
+    return source?.url ? { ...segment, source } : null;
+  };
+
+  const stopPlaying = () => {
+    playing.current?.pause();
+    playing.current = null;
+    stopAt.current = null;
+    setPlayingId(null);
+  };
+
+  const playEntry = async (entry) => {
+    const segment = segmentOf(entry);
+    const el = segment && players.current[segment.side];
+    if (!el) return;
+    const isSame = playingId === entry.id;
+    stopPlaying();
+    if (isSame) return;
+    try {
+      setPlayingId(entry.id);
+      if (loadedUrls.current[segment.side] !== segment.source.url) {
+        loadedUrls.current[segment.side] = null;
+        await loadForSeeking(el, segment.source.url);
+        loadedUrls.current[segment.side] = segment.source.url;
+      }
+      el.currentTime = Math.max(0, (segment.start - segment.source.startedAt) / 1000);
+      stopAt.current = (segment.end - segment.source.startedAt) / 1000;
+      playing.current = el;
+      await el.play();
+    } catch (err) {
+      console.error('Failed to play recording:', err);
+      stopPlaying();
+    }
+  };
+
+  const handleTimeUpdate = (e) => {
+    if (e.target === playing.current && e.target.currentTime >= stopAt.current) {
+      stopPlaying();
+    }
+  };
+
   // Clear transcript
   const clearTranscript = () => {
     if (confirm('Are you sure you want to clear the transcript?')) {
-      setTranscript([]);
+      resetTranscript();
     }
   };
 
@@ -459,6 +223,18 @@ const TranscriptManager = ({ events, embedded = false }) => {
             />
             Auto-scroll
           </label>
+          <label
+            className="flex items-center text-xs text-gray-600 cursor-pointer"
+            title="Mask names, dates, phone numbers and addresses when copying or downloading"
+          >
+            <input
+              type="checkbox"
+              checked={redactExports}
+              onChange={(e) => setRedactExports(e.target.checked)}
+              className="mr-1"
+            />
+            Redact
+          </label>
           {!embedded && (
             <button
               onClick={() => setIsVisible(false)}
@@ -481,31 +257,69 @@ const TranscriptManager = ({ events, embedded = false }) => {
             No conversation yet. Start talking!
           </div>
         ) : (
-          transcript.map((entry) => (
+          transcript.map((entry) => {
+            const isPlayable = Boolean(segmentOf(entry));
+            return (
             <div
               key={entry.id}
-              className={`p-2 rounded-lg text-sm ${
+              data-item-id={entry.itemId}
+              onClick={isPlayable ? () => playEntry(entry) : undefined}
+              title={isPlayable ? 'Play this turn from the recording' : undefined}
+              className={`p-2 rounded-lg text-sm ${isPlayable ? 'cursor-pointer' : ''} ${
                 entry.type === 'user'
                   ? 'bg-blue-100 ml-4'
                   : 'bg-gray-200 mr-4'
-              } ${entry.isPartial ? 'opacity-75 border-l-2 border-yellow-400' : ''}`}
+              } ${entry.isPartial ? 'opacity-75 border-l-2 border-yellow-400' : ''} ${
+                entry.itemId && entry.itemId === highlightedItemId ? 'ring-2 ring-blue-500' : ''
+              }`}
             >
               <div className="flex items-center justify-between mb-1">
-                <span className="font-medium text-xs text-gray-600">
+                <span className="flex items-center gap-1 font-medium text-xs text-gray-600">
                   {entry.speaker === 'user' ? 'You' : 'Assistant'}
+                  {isPlayable && (playingId === entry.id
+                    ? <Pause size={12} className="text-blue-600" />
+                    : <Play size={12} />)}
                 </span>
                 <span className="text-xs text-gray-500">
                   {entry.timestamp.toLocaleTimeString()}
                 </span>
               </div>
-              <div className="text-gray-800">
-                {entry.message}
-                {entry.isPartial && <span className="animate-pulse">|</span>}
-              </div>
+              {bilingual ? (
+                <div className="grid grid-cols-2 gap-2 text-gray-800">
+                  <div>
+                    <div className="text-[10px] uppercase text-gray-500">
+                      {languageName(entry.language)}
+                    </div>
+                    {entry.message}
+                    {entry.isPartial && <span className="animate-pulse">|</span>}
+                  </div>
+                  <div className="border-l border-gray-300 pl-2">
+                    <div className="text-[10px] uppercase text-gray-500">
+                      {languageName(entry.translationLanguage)}
+                    </div>
+                    {entry.translation || (entry.language ? entry.message : '...')}
+                  </div>
+                </div>
+              ) : (
+                <div className="text-gray-800">
+                  {entry.message}
+                  {entry.isPartial && <span className="animate-pulse">|</span>}
+                </div>
+              )}
             </div>
-          ))
+            );
+          })
         )}
       </div>
+      {audio && Object.keys(audio).map((side) => (
+        <audio
+          key={side}
+          ref={(el) => (players.current[side] = el)}
+          onTimeUpdate={handleTimeUpdate}
+          onEnded={(e) => e.target === playing.current && stopPlaying()}
+          className="hidden"
+        />
+      ))}
 
       {/* Actions */}
       <div className="flex items-center justify-between p-3 border-t border-gray-200 bg-gray-50 rounded-b-lg">
@@ -529,14 +343,26 @@ const TranscriptManager = ({ events, embedded = false }) => {
           >
             <Download size={16} />
           </button>
-          <button
-            onClick={clearTranscript}
-            className="text-gray-600 hover:text-red-600 transition-colors"
-            title="Clear Transcript"
-            disabled={transcript.length === 0}
-          >
-            <Trash2 size={16} />
-          </button>
+          {intake && (
+            <button
+              onClick={exportFhirBundle}
+              className="text-gray-600 hover:text-purple-600 transition-colors"
+              title="Download FHIR Bundle"
+              disabled={transcript.length === 0}
+            >
+              <FileJson size={16} />
+            </button>
+          )}
+          {!entries && (
+            <button
+              onClick={clearTranscript}
+              className="text-gray-600 hover:text-red-600 transition-colors"
+              title="Clear Transcript"
+              disabled={transcript.length === 0}
+            >
+              <Trash2 size={16} />
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,45 @@
+import { DollarSign } from "react-feather";
+import { formatCost, totalTokens } from "../lib/metering.js";
+
+function Row({ label, value }) {
+  return (
+    <div className="flex justify-between gap-4">
+      <span className="text-gray-500">{label}</span>
+      <span className="tabular-nums">{value.toLocaleString()}</span>
+    </div>
+  );
+}
+
+// Running token count and cost of the live session, with the breakdown by
+// modality and the last responses on hover
+export default function UsageMeter({ usage }) {
+  const { total, responses, cost, currency } = usage;
+  if (responses.length === 0) return null;
+
+  return (
+    <div className="relative group flex items-center gap-1 text-gray-600 tabular-nums">
+      <DollarSign size={14} />
+      {totalTokens(total).toLocaleString()} tokens
+      {" | "}
+      {formatCost(cost, currency)}
+      <div className="hidden group-hover:flex flex-col gap-1 absolute right-0 top-6 z-50 w-64 p-3 bg-white border border-gray-200 rounded-md shadow-lg text-xs">
+        <Row label="text in" value={total.inputText} />
+        <Row label="of which cached" value={total.cachedText} />
+        <Row label="audio in" value={total.inputAudio} />
+        <Row label="of which cached" value={total.cachedAudio} />
+        <Row label="text out" value={total.outputText} />
+        <Row label="audio out" value={total.outputAudio} />
+        <div className="border-t border-gray-200 pt-1 mt-1 text-gray-500">
+          {responses.length} responses, last:
+        </div>
+        {responses.slice(-5).reverse().map((response) => (
+          <Row
+            key={response.id}
+            label={response.topic || response.id}
+            value={totalTokens(response.tokens)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
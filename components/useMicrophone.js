@@ -0,0 +1,164 @@
+import { useEffect, useRef, useState } from "react";
+
+// The chosen input device is remembered per browser, so a kiosk keeps using
+// its headset across sessions and restarts
+const STORAGE_KEY = "hh.microphoneId";
+// Echo cancellation matters on kiosks with loudspeakers; noise suppression and
+// gain control keep the waiting room out of the transcription
+const AUDIO_PROCESSING = {
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true,
+};
+
+function savedDeviceId() {
+  try {
+    return localStorage.getItem(STORAGE_KEY) || "";
+  } catch {
+    return "";
+  }
+}
+
+// The preferred device if it can be opened, otherwise the system default
+async function openStream(deviceId) {
+  if (deviceId) {
+    try {
+      return await navigator.mediaDevices.getUserMedia({
+        audio: { ...AUDIO_PROCESSING, deviceId: { exact: deviceId } },
+      });
+    } catch (err) {
+      if (err.name !== "OverconstrainedError" && err.name !== "NotFoundError") throw err;
+      console.warn("Preferred microphone unavailable, using the default");
+    }
+  }
+  return navigator.mediaDevices.getUserMedia({ audio: AUDIO_PROCESSING });
+}
+
+// Microphone for a session: device choice, mute, and switching devices while
+// the session runs. `onTrackChange(track)` is called with the new track before
+// the old one is stopped, so the caller can swap it into its peer connection.
+export default function useMicrophone({ onTrackChange } = {}) {
+  const [devices, setDevices] = useState([]);
+  const [deviceId, setDeviceId] = useState(savedDeviceId);
+  const [stream, setStream] = useState(null);
+  const [isMuted, setIsMuted] = useState(false);
+  const streamRef = useRef(null);
+  const swapping = useRef(null);
+  // Latest values for device and track listeners registered earlier
+  const latest = useRef({});
+  latest.current = { deviceId, isMuted, onTrackChange };
+
+  async function refreshDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+    const all = await navigator.mediaDevices.enumerateDevices();
+    const inputs = all.filter((device) => device.kind === "audioinput");
+    setDevices(inputs);
+    return inputs;
+  }
+
+  function attach(next) {
+    const track = next.getAudioTracks()[0];
+    track.enabled = !latest.current.isMuted;
+    // Unplugging the device ends the track: move to another one
+    track.addEventListener("ended", () => {
+      if (streamRef.current === next) swap();
+    });
+    const previous = streamRef.current;
+    streamRef.current = next;
+    setStream(next);
+    previous?.getTracks().forEach((t) => t.stop());
+    // Device labels are only visible once permission was granted
+    refreshDevices().catch((err) => console.error("Failed to list microphones:", err));
+  }
+
+  // Open the microphone for a new session
+  async function acquire() {
+    attach(await openStream(latest.current.deviceId));
+    return streamRef.current;
+  }
+
+  // Replace the open stream with one from the preferred (or default) device
+  function swap() {
+    if (!swapping.current) {
+      swapping.current = (async () => {
+        if (!streamRef.current) return;
+        try {
+          const next = await openStream(latest.current.deviceId);
+          if (!streamRef.current) {
+            next.getTracks().forEach((t) => t.stop());
+            return;
+          }
+          await latest.current.onTrackChange?.(next.getAudioTracks()[0]);
+          attach(next);
+        } catch (err) {
+          console.error("Failed to switch microphone:", err);
+        }
+      })().finally(() => {
+        swapping.current = null;
+      });
+    }
+    return swapping.current;
+  }
+
+  function selectDevice(id) {
+    setDeviceId(id);
+    latest.current.deviceId = id;
+    try {
+      localStorage.setItem(STORAGE_KEY, id);
+    } catch (err) {
+      console.error("Failed to remember microphone:", err);
+    }
+    if (streamRef.current) swap();
+  }
+
+  // Muting only disables the outgoing track; the connection stays up
+  function setMuted(muted) {
+    setIsMuted(muted);
+    latest.current.isMuted = muted;
+    streamRef.current?.getAudioTracks().forEach((track) => (track.enabled = !muted));
+  }
+
+  function release() {
+    streamRef.current?.getTracks().forEach((track) => track.stop());
+    streamRef.current = null;
+    setStream(null);
+    setMuted(false);
+  }
+
+  function currentTrack() {
+    return streamRef.current?.getAudioTracks()[0] || null;
+  }
+
+  // Keep the device list current, fall back when the device in use goes away
+  // and return to the chosen one when it is plugged back in
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices?.addEventListener) return;
+    const handleDeviceChange = async () => {
+      const inputs = await refreshDevices();
+      const track = currentTrack();
+      if (!track) return;
+      const inUse = track.getSettings().deviceId;
+      const preferred = latest.current.deviceId;
+      const isAvailable = (id) => inputs.some((device) => device.deviceId === id);
+      if (!isAvailable(inUse) || (preferred && preferred !== inUse && isAvailable(preferred))) {
+        swap();
+      }
+    };
+    mediaDevices.addEventListener("devicechange", handleDeviceChange);
+    refreshDevices().catch((err) => console.error("Failed to list microphones:", err));
+    return () => mediaDevices.removeEventListener("devicechange", handleDeviceChange);
+  }, []);
+
+  return {
+    devices,
+    deviceId,
+    stream,
+    isMuted,
+    acquire,
+    release,
+    selectDevice,
+    setMuted,
+    currentTrack,
+  };
+}
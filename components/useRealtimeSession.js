@@ -0,0 +1,683 @@
+import { useEffect, useRef, useState } from "react";
+import { INTAKE_TOOLS, applyIntakeCall, emptyIntake } from "../lib/intake.js";
+import { createToolRegistry } from "../lib/toolRegistry.js";
+import { createSessionSync } from "../lib/sessionSync.js";
+import { stampEvent } from "../lib/eventRecording.js";
+import { resumeConversationEvents } from "../lib/resume.js";
+import { clearTranslationCache } from "../lib/translation.js";
+import {
+  LOOKUP_MEDICATION_TOOL,
+  allergyConflicts,
+  lookupMedication,
+  normalizeAllergy,
+  normalizeMedication,
+} from "../lib/medications.js";
+import { DEFAULT_TURN_TAKING, createTurnController } from "../lib/turnTaking.js";
+import { NOTE_TOPIC, noteRequest, noteResponseText } from "../lib/clinicianNote.js";
+import { createAudioRecorder } from "../lib/audioRecording.js";
+import { emptyMeter, meterEvent, priceFor, tokensCost } from "../lib/metering.js";
+import {
+  REPORT_RED_FLAG_TOOL,
+  detectRedFlags,
+  isRedFlagCategory,
+  safetyResponse,
+} from "../lib/redFlags.js";
+import useMicrophone from "./useMicrophone";
+
+// Wait before each reconnect attempt; after the last one the session is
+// reported as failed and staff can retry or end it
+const RECONNECT_DELAYS_MS = [500, 1000, 2000, 4000, 8000, 15000];
+// A "disconnected" peer connection often recovers by itself (e.g. a Wi-Fi
+// roam), so give it a moment before renegotiating
+const DISCONNECT_GRACE_MS = 3000;
+
+// One patient session over WebRTC: the peer connection and data channel, the
+// server-side session record, intake tools, and automatic reconnection.
+// `connectionState` is "idle", "connecting", "connected", "reconnecting" or
+// "failed"; the session stays active until stopSession() through all of them.
+export default function useRealtimeSession() {
+  const [isSessionActive, setIsSessionActive] = useState(false);
+  const [connectionState, setConnectionState] = useState("idle");
+  const [events, setEvents] = useState([]);
+  const [intake, setIntake] = useState(emptyIntake);
+  const [transcript, setTranscript] = useState([]);
+  const [patientId, setPatientId] = useState(null);
+  const [sessionId, setSessionId] = useState(null);
+  const [turnTaking, setTurnTaking] = useState(DEFAULT_TURN_TAKING);
+  const [redFlags, setRedFlags] = useState([]);
+  // Clinician note from "finish intake": { format, status, text }
+  const [note, setNote] = useState(null);
+  // Tokens used so far, per response and in total (lib/metering.js)
+  const [meter, setMeter] = useState(emptyMeter);
+  // Audio of the last stopped session for playback in this browser:
+  // { patient, assistant }, each { url, startedAt }
+  const [recording, setRecording] = useState(null);
+  const peerConnection = useRef(null);
+  const dataChannel = useRef(null);
+  // RTP sender of the microphone track, to swap in a new device mid-session
+  const audioSender = useRef(null);
+  const audioElement = useRef(null);
+  const audioRecorder = useRef(null);
+  // Last user turn, so tool results can point back at what the patient said
+  const lastUserItemId = useRef(null);
+  const toolRegistry = useRef(null);
+  const turnController = useRef(null);
+  // Red flag categories already raised this session
+  const raisedCategories = useRef(new Set());
+  // Response the clinician note is being written in
+  const noteResponseId = useRef(null);
+  const sessionSync = useRef(null);
+  // Intake protocol definition the current session runs with
+  const protocol = useRef(null);
+  // Drug vocabulary for medication lookups (GET /api/drugs)
+  const drugs = useRef(null);
+  // Prices of the model the session runs (GET /api/pricing), for the running cost
+  const price = useRef(null);
+  // True from start until stop: a dropped connection should come back
+  const keepConnected = useRef(false);
+  const reconnectAttempts = useRef(0);
+  const reconnectTimer = useRef(null);
+  // Whether the data channel has opened once for this session, and whether a
+  // reconnected session still has to be told the conversation so far
+  const hasOpened = useRef(false);
+  const resumePending = useRef(false);
+  // Latest transcript and intake for callbacks registered on older renders
+  const latest = useRef({ transcript, intake, redFlags });
+  latest.current = { transcript, intake, redFlags };
+  const microphone = useMicrophone({
+    onTrackChange: (track) => audioSender.current?.replaceTrack(track),
+  });
+
+  if (!sessionSync.current) {
+    sessionSync.current = createSessionSync();
+  }
+
+  if (!audioRecorder.current) {
+    audioRecorder.current = createAudioRecorder();
+  }
+
+  // A switched microphone is recorded from the moment it is in use
+  useEffect(() => {
+    if (audioRecorder.current.isRecording) {
+      audioRecorder.current.connect("patient", microphone.stream);
+    }
+  }, [microphone.stream]);
+
+  if (!turnController.current) {
+    turnController.current = createTurnController({ send: (event) => sendClientEvent(event) });
+  }
+
+  if (!toolRegistry.current) {
+    toolRegistry.current = createToolRegistry();
+    INTAKE_TOOLS.forEach((tool) =>
+      toolRegistry.current.register({
+        ...tool,
+        handler: (args, { callId, name }) => {
+          const source = lastUserItemId.current
+            ? { itemId: lastUserItemId.current }
+            : null;
+          const call = { callId, name, args: withNormalized(name, args), source };
+          setIntake((prev) => applyIntakeCall(prev, call));
+          const conflicts = allergyConflicts(applyIntakeCall(latest.current.intake, call)).filter(
+            ({ allergyId, medicationId }) => allergyId === callId || medicationId === callId,
+          );
+          return conflicts.length
+            ? { recorded: true, allergyConflicts: conflicts.map(({ reason }) => reason) }
+            : { recorded: true };
+        },
+      }),
+    );
+    toolRegistry.current.register({
+      ...LOOKUP_MEDICATION_TOOL,
+      handler: ({ text }) => {
+        if (!drugs.current) return { status: "unavailable" };
+        const result = lookupMedication(drugs.current, text);
+        if (!result.medication) return result;
+        const conflicts = allergyConflicts({
+          allergies: latest.current.intake.allergies,
+          medications: [{ id: "lookup", name: result.medication.name, normalized: result.medication }],
+        });
+        return conflicts.length
+          ? { ...result, allergyConflicts: conflicts.map(({ reason }) => reason) }
+          : result;
+      },
+    });
+    toolRegistry.current.register({
+      ...REPORT_RED_FLAG_TOOL,
+      handler: ({ category, reason, quote }) => {
+        const itemId = lastUserItemId.current;
+        const turn = latest.current.transcript.find((entry) => entry.itemId === itemId);
+        raiseRedFlag({
+          category,
+          source: "model",
+          reason,
+          excerpt: quote || turn?.message || "",
+          itemId,
+        });
+        return { reported: true, staffAlerted: true };
+      },
+    });
+  }
+
+  // Send a message to the model
+  function sendClientEvent(message) {
+    const dc = dataChannel.current;
+    if (dc?.readyState === "open") {
+      message.event_id = message.event_id || crypto.randomUUID();
+
+      // send event before stamping since the backend peer doesn't expect the
+      // recording fields (direction, recordedAt, timestamp)
+      dc.send(JSON.stringify(message));
+
+      stampEvent(message, "client");
+      sessionSync.current.push(message);
+      setEvents((prev) => [message, ...prev]);
+    } else {
+      console.error(
+        "Failed to send message - no data channel available",
+        message,
+      );
+    }
+  }
+
+  // Every response request goes through the turn controller, so a response is
+  // never asked for twice
+  function sendOrRequest(event) {
+    if (event.type === "response.create") {
+      turnController.current.requestResponse();
+    } else {
+      sendClientEvent(event);
+    }
+  }
+
+  // Medications and drug allergies are matched against the drug vocabulary so
+  // they can be cross-checked; the patient's own words are kept as recorded
+  function withNormalized(name, args) {
+    if (!drugs.current) return args;
+    if (name === "record_medication") {
+      return { ...args, normalized: normalizeMedication(drugs.current, args) };
+    }
+    if (name === "record_allergy") {
+      return { ...args, normalized: normalizeAllergy(drugs.current, args) };
+    }
+    return args;
+  }
+
+  // A possible emergency: alert staff and record it on the session. The first
+  // flag of a session interrupts the receptionist with the safety message.
+  function raiseRedFlag({ category, source, excerpt = "", reason = null, itemId = null }) {
+    if (!isRedFlagCategory(category) || raisedCategories.current.has(category)) return;
+    const isFirst = raisedCategories.current.size === 0;
+    raisedCategories.current.add(category);
+    const flag = { category, source, excerpt, reason, itemId, raisedAt: new Date().toISOString() };
+    setRedFlags((prev) => [...prev, flag]);
+    if (isFirst) {
+      turnController.current.interrupt();
+      turnController.current.requestResponse(safetyResponse());
+    }
+    const sessionId = sessionSync.current.sessionId;
+    if (!sessionId) return;
+    fetch(`/api/sessions/${sessionId}/red-flags`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(flag),
+    })
+      .then((r) => {
+        if (!r.ok) throw new Error(`${r.status}`);
+      })
+      .catch((err) => console.error("Failed to report red flag:", err));
+  }
+
+  // "Finish intake": the note is written in a text-only, out-of-band response,
+  // so it is neither spoken nor added to the conversation
+  function requestNote(format) {
+    if (!isSessionActive) return;
+    noteResponseId.current = null;
+    setNote({ format, status: "generating", text: "" });
+    turnController.current.requestResponse(
+      noteRequest(format, { intake: latest.current.intake, redFlags: latest.current.redFlags }),
+    );
+  }
+
+  function handleNoteEvent(event) {
+    if (event.type === "response.created" && event.response?.metadata?.topic === NOTE_TOPIC) {
+      noteResponseId.current = event.response.id;
+    } else if (
+      (event.type === "response.output_text.delta" || event.type === "response.text.delta") &&
+      event.response_id === noteResponseId.current
+    ) {
+      setNote((prev) => prev && { ...prev, text: prev.text + event.delta });
+    } else if (event.type === "response.done" && event.response?.metadata?.topic === NOTE_TOPIC) {
+      const text = noteResponseText(event.response);
+      setNote(
+        (prev) =>
+          prev && {
+            ...prev,
+            status: event.response.status === "completed" ? "ready" : "failed",
+            text: text || prev.text,
+          },
+      );
+    }
+  }
+
+  function checkForRedFlags(text, itemId) {
+    detectRedFlags(text).forEach(({ category }) =>
+      raiseRedFlag({ category, source: "rules", excerpt: text, itemId }),
+    );
+  }
+
+  function handleServerEvent(event) {
+    stampEvent(event, "server");
+    sessionSync.current.push(event);
+    setEvents((prev) => [event, ...prev]);
+    handleNoteEvent(event);
+    if (event.type === "response.done") setMeter((prev) => meterEvent(prev, event));
+
+    if (event.type === "session.created") {
+      // Red flags are reported whatever the protocol; medications are looked
+      // up wherever they are recorded
+      const tools = protocol.current?.tools;
+      sendClientEvent(
+        toolRegistry.current.sessionUpdate(
+          tools && [
+            ...tools,
+            REPORT_RED_FLAG_TOOL.name,
+            ...(tools.includes("record_medication") ? [LOOKUP_MEDICATION_TOOL.name] : []),
+          ],
+        ),
+      );
+      // A reconnected session starts empty: replay the conversation into it
+      if (resumePending.current) {
+        resumePending.current = false;
+        resumeConversationEvents(latest.current.transcript, latest.current.intake).forEach(
+          sendOrRequest,
+        );
+      }
+    }
+    if (
+      event.type === "input_audio_buffer.committed" ||
+      event.type === "conversation.item.input_audio_transcription.completed"
+    ) {
+      lastUserItemId.current = event.item_id;
+    }
+    turnController.current.handleEvent(event);
+    toolRegistry.current.handleEvent(event, sendOrRequest);
+    if (event.type === "conversation.item.input_audio_transcription.completed") {
+      checkForRedFlags(event.transcript, event.item_id);
+    }
+  }
+
+  function handleOpen() {
+    setConnectionState("connected");
+    reconnectAttempts.current = 0;
+    // Responses of a dropped connection will never finish
+    turnController.current.reset();
+    if (!hasOpened.current) {
+      hasOpened.current = true;
+      setIsSessionActive(true);
+      setEvents([]);
+      setIntake(emptyIntake());
+      lastUserItemId.current = null;
+      toolRegistry.current.reset();
+      raisedCategories.current.clear();
+      setRedFlags([]);
+      setNote(null);
+    }
+  }
+
+  // Tear down the peer connection and data channel but keep the microphone;
+  // events from the old connection are ignored from here on
+  function closeConnection() {
+    const pc = peerConnection.current;
+    const dc = dataChannel.current;
+    peerConnection.current = null;
+    dataChannel.current = null;
+    audioSender.current = null;
+    dc?.close();
+    pc?.close();
+  }
+
+  function connectionLost(pc) {
+    if (pc !== peerConnection.current || !keepConnected.current) return;
+    console.error("Realtime connection lost, reconnecting");
+    reconnect();
+  }
+
+  function reconnect() {
+    closeConnection();
+    clearTimeout(reconnectTimer.current);
+    const attempt = reconnectAttempts.current;
+    if (attempt >= RECONNECT_DELAYS_MS.length) {
+      if (!hasOpened.current) {
+        abortStart(new Error("could not connect"));
+        return;
+      }
+      setConnectionState("failed");
+      return;
+    }
+    reconnectAttempts.current = attempt + 1;
+    setConnectionState("reconnecting");
+    reconnectTimer.current = setTimeout(async () => {
+      if (!keepConnected.current) return;
+      try {
+        resumePending.current = hasOpened.current;
+        await connect();
+      } catch (err) {
+        console.error("Reconnect attempt failed:", err);
+        reconnect();
+      }
+    }, RECONNECT_DELAYS_MS[attempt]);
+  }
+
+  // Give up waiting and try again now, e.g. from the "failed" state
+  function retryConnection() {
+    if (!keepConnected.current) return;
+    reconnectAttempts.current = 0;
+    reconnect();
+  }
+
+  // Negotiate a peer connection through the server's /session proxy. Throws
+  // if the SDP exchange fails; connection drops afterwards trigger reconnect.
+  async function connect() {
+    // Create a peer connection
+    const pc = new RTCPeerConnection();
+    peerConnection.current = pc;
+
+    // Set up to play remote audio from the model
+    if (!audioElement.current) {
+      audioElement.current = document.createElement("audio");
+      audioElement.current.autoplay = true;
+    }
+    pc.ontrack = (e) => {
+      audioElement.current.srcObject = e.streams[0];
+      audioRecorder.current.connect("assistant", e.streams[0]);
+    };
+
+    // Add local audio track for microphone input in the browser
+    audioSender.current = pc.addTrack(microphone.currentTrack());
+
+    // Set up data channel for sending and receiving events
+    const dc = pc.createDataChannel("oai-events");
+    dataChannel.current = dc;
+    dc.addEventListener("message", (e) => {
+      if (pc === peerConnection.current) handleServerEvent(JSON.parse(e.data));
+    });
+    dc.addEventListener("open", () => {
+      if (pc === peerConnection.current) handleOpen();
+    });
+    dc.addEventListener("close", () => connectionLost(pc));
+    pc.addEventListener("connectionstatechange", () => {
+      if (pc.connectionState === "failed") {
+        connectionLost(pc);
+      } else if (pc.connectionState === "disconnected") {
+        setTimeout(() => {
+          if (pc.connectionState === "disconnected") connectionLost(pc);
+        }, DISCONNECT_GRACE_MS);
+      }
+    });
+
+    // Start the session using the Session Description Protocol (SDP)
+    const offer = await pc.createOffer();
+    await pc.setLocalDescription(offer);
+
+    // Wait for ICE gathering to complete (OpenAI endpoint expects complete SDP, no trickle)
+    await new Promise((resolve) => {
+      if (pc.iceGatheringState === "complete") {
+        resolve();
+      } else {
+        const checkState = () => {
+          if (pc.iceGatheringState === "complete") {
+            pc.removeEventListener("icegatheringstatechange", checkState);
+            resolve();
+          }
+        };
+        pc.addEventListener("icegatheringstatechange", checkState);
+      }
+    });
+
+    // Use server proxy to create the session so client doesn't need an ephemeral key
+    const sdpResponse = await fetch(`/session`, {
+      method: "POST",
+      body: pc.localDescription.sdp,
+      headers: {
+        "Content-Type": "application/sdp",
+        "X-Session-Id": sessionSync.current.sessionId,
+        ...(hasOpened.current && { "X-Reconnect": "1" }),
+      },
+    });
+
+    if (!sdpResponse.ok) {
+      const errText = await sdpResponse.text();
+      throw new Error(`SDP exchange failed: ${sdpResponse.status} ${errText}`);
+    }
+
+    const sdp = await sdpResponse.text();
+    const answer = { type: "answer", sdp };
+    await pc.setRemoteDescription(answer);
+  }
+
+  async function startSession({
+    patientId = null,
+    protocolId = null,
+    config = null,
+    consent = null,
+  } = {}) {
+    // Create the server-side record first so every event can be stored; the
+    // server pins the protocol version and resolves the session configuration
+    // (model, voice, turn-taking, ...) that /session then applies. It refuses
+    // to start without the patient's consent.
+    setPatientId(patientId);
+    const session = await sessionSync.current.start({ patientId }, protocolId, config, consent);
+    if (!session) {
+      sessionSync.current.finish({ status: "failed" });
+      alert("Failed to start session: the session record could not be created");
+      return;
+    }
+    const protocolResponse = await fetch(
+      `/api/protocols/${session.protocol.id}?version=${session.protocol.version}`,
+    );
+    if (!protocolResponse.ok) {
+      sessionSync.current.finish({ status: "failed" });
+      alert("Failed to start session: could not load the intake protocol");
+      return;
+    }
+    protocol.current = await protocolResponse.json();
+    // Without the vocabulary medications are recorded as said, unchecked
+    drugs.current = await fetch("/api/drugs")
+      .then((r) => (r.ok ? r.json() : Promise.reject(new Error(`${r.status}`))))
+      .catch((err) => {
+        console.error("Failed to load drug vocabulary:", err);
+        return null;
+      });
+    // Without prices the console shows tokens only
+    price.current = await fetch("/api/pricing")
+      .then((r) => (r.ok ? r.json() : Promise.reject(new Error(`${r.status}`))))
+      .then((pricing) => priceFor(pricing, session.config?.model))
+      .catch((err) => {
+        console.error("Failed to load pricing:", err);
+        return null;
+      });
+    setMeter(emptyMeter());
+    setSessionId(session.id);
+    turnController.current.configure(session.config?.turnTaking || DEFAULT_TURN_TAKING);
+    setTurnTaking(turnController.current.settings);
+
+    setConnectionState("connecting");
+    keepConnected.current = true;
+    reconnectAttempts.current = 0;
+    hasOpened.current = false;
+    resumePending.current = false;
+    try {
+      const stream = await microphone.acquire();
+      audioRecorder.current.start();
+      audioRecorder.current.connect("patient", stream);
+      await connect();
+    } catch (err) {
+      abortStart(err);
+    }
+  }
+
+  // The patient said no on the consent screen: store the decision as a
+  // declined session. Nothing is recorded or connected. Resolves with whether
+  // the decision was saved.
+  async function declineSession({ patientId = null, protocolId = null, consent }) {
+    try {
+      const response = await fetch("/api/sessions", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ metadata: { patientId }, protocolId, consent }),
+      });
+      if (!response.ok) throw new Error(`${response.status}`);
+      return true;
+    } catch (err) {
+      console.error("Failed to record declined consent:", err);
+      return false;
+    }
+  }
+
+  // The session never got going: release everything and mark it failed
+  function abortStart(err) {
+    console.error("Failed to start session:", err);
+    keepConnected.current = false;
+    clearTimeout(reconnectTimer.current);
+    closeConnection();
+    microphone.release();
+    audioRecorder.current.stop();
+    setConnectionState("idle");
+    sessionSync.current.finish({ status: "failed" });
+    alert(`Failed to start session: ${err.message}`);
+  }
+
+  // Stop current session, clean up peer connection and data channel
+  function stopSession() {
+    keepConnected.current = false;
+    clearTimeout(reconnectTimer.current);
+    sessionSync.current.finish({ transcript, intake });
+
+    closeConnection();
+    microphone.release();
+    saveRecording();
+
+    setIsSessionActive(false);
+    setConnectionState("idle");
+  }
+
+  // Stop recording, keep the audio for playback here and upload it with the
+  // session
+  async function saveRecording() {
+    const recorded = await audioRecorder.current.stop();
+    if (!recorded) return;
+    setRecording(
+      Object.fromEntries(
+        Object.entries(recorded.tracks).map(([side, blob]) => [
+          side,
+          { url: URL.createObjectURL(blob), startedAt: recorded.startedAt },
+        ]),
+      ),
+    );
+    try {
+      await sessionSync.current.uploadAudio(recorded);
+    } catch (err) {
+      console.error("Failed to upload session audio:", err);
+    }
+  }
+
+  // Forget everything about the last session in this browser: its events,
+  // transcript, intake and cached translations. The stored session record is
+  // not touched. Only valid once the session has been stopped.
+  function resetSession() {
+    if (keepConnected.current) return;
+    setEvents([]);
+    setIntake(emptyIntake());
+    setTranscript([]);
+    setPatientId(null);
+    setSessionId(null);
+    lastUserItemId.current = null;
+    toolRegistry.current.reset();
+    raisedCategories.current.clear();
+    setRedFlags([]);
+    setNote(null);
+    setMeter(emptyMeter());
+    price.current = null;
+    setRecording((previous) => {
+      Object.values(previous || {}).forEach(({ url }) => URL.revokeObjectURL(url));
+      return null;
+    });
+    protocol.current = null;
+    hasOpened.current = false;
+    resumePending.current = false;
+    if (audioElement.current) audioElement.current.srcObject = null;
+    clearTranslationCache();
+  }
+
+  // Send a text message to the model
+  function sendTextMessage(message) {
+    const itemId = `item_${crypto.randomUUID().replace(/-/g, "").slice(0, 24)}`;
+    const event = {
+      type: "conversation.item.create",
+      item: {
+        // client-side id so intake answers can point back at this turn
+        id: itemId,
+        type: "message",
+        role: "user",
+        content: [
+          {
+            type: "input_text",
+            text: message,
+          },
+        ],
+      },
+    };
+
+    lastUserItemId.current = itemId;
+    sendClientEvent(event);
+    checkForRedFlags(message, itemId);
+    turnController.current.messageSent();
+  }
+
+  // Keep the stored transcript and intake in step with the live session
+  useEffect(() => {
+    if (isSessionActive) {
+      sessionSync.current.update({ transcript, intake });
+    }
+  }, [transcript, intake, isSessionActive]);
+
+  // Push whatever is buffered if the kiosk browser is closed mid-session
+  useEffect(() => {
+    const flush = () => sessionSync.current.flush({ keepalive: true });
+    window.addEventListener("pagehide", flush);
+    return () => window.removeEventListener("pagehide", flush);
+  }, []);
+
+  return {
+    isSessionActive,
+    connectionState,
+    events,
+    intake,
+    transcript,
+    setTranscript,
+    patientId,
+    sessionId,
+    turnTaking,
+    redFlags,
+    note,
+    recording,
+    usage: {
+      ...meter,
+      cost: tokensCost(meter.total, price.current),
+      currency: price.current?.currency || null,
+    },
+    microphone,
+    startSession,
+    declineSession,
+    stopSession,
+    resetSession,
+    retryConnection,
+    sendClientEvent,
+    sendTextMessage,
+    requestNote,
+    requestResponse: () => turnController.current.requestResponse(),
+    startTalking: () => turnController.current.startTalking(),
+    stopTalking: () => turnController.current.stopTalking(),
+  };
+}
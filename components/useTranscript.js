@@ -0,0 +1,91 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { emptyTranscript, foldEvents, transcriptEntries } from "../lib/transcriptReducer.js";
+import { translateTexts } from "../lib/translation.js";
+
+// The transcript of a live session folded from its events, with each finished
+// turn's detected language and clinic-language translation merged in. A
+// stored transcript (`entries`, e.g. in the review dashboard) replaces the
+// live events.
+export default function useTranscript(events, entries = null) {
+  const [transcript, setTranscript] = useState([]);
+  // entry id -> detected language and clinic-language translation
+  const [translations, setTranslations] = useState({});
+  const reducerState = useRef(emptyTranscript());
+  const processedCount = useRef(0);
+
+  useEffect(() => {
+    if (entries) {
+      setTranscript(entries.map((entry) => ({ ...entry, timestamp: new Date(entry.timestamp) })));
+    }
+  }, [entries]);
+
+  // `events` is newest first and only ever grows at the front (or is reset),
+  // so everything past the count already folded into the reducer is new
+  useEffect(() => {
+    if (entries) {
+      return;
+    }
+    const list = events || [];
+    if (list.length < processedCount.current) {
+      reducerState.current = emptyTranscript();
+      processedCount.current = 0;
+      setTranslations({});
+    }
+    const newEvents = list.slice(0, list.length - processedCount.current);
+    processedCount.current = list.length;
+    reducerState.current = foldEvents(reducerState.current, newEvents);
+    setTranscript(transcriptEntries(reducerState.current));
+  }, [events]);
+
+  // Detect the language of every finished turn and translate it into the
+  // clinic language
+  useEffect(() => {
+    const pending = transcript.filter(
+      (entry) =>
+        !entry.isPartial &&
+        !entry.language &&
+        translations[entry.id]?.message !== entry.message,
+    );
+    if (pending.length === 0) return;
+    translateTexts(pending.map((entry) => entry.message))
+      .then((results) => {
+        setTranslations((prev) => {
+          const next = { ...prev };
+          pending.forEach((entry, index) => {
+            next[entry.id] = {
+              message: entry.message,
+              language: results[index].language,
+              translation: results[index].translation,
+              translationLanguage: results[index].target,
+            };
+          });
+          return next;
+        });
+      })
+      .catch((err) => console.error("Failed to translate transcript:", err));
+  }, [transcript]);
+
+  // A translation only applies to the exact text it was made from
+  const bilingualTranscript = useMemo(
+    () =>
+      transcript.map((entry) => {
+        const result = translations[entry.id];
+        if (!result || result.message !== entry.message) return entry;
+        return {
+          ...entry,
+          language: result.language,
+          translation: result.translation,
+          translationLanguage: result.translationLanguage,
+        };
+      }),
+    [transcript, translations],
+  );
+
+  function clearTranscript() {
+    reducerState.current = emptyTranscript();
+    setTranscript([]);
+    setTranslations({});
+  }
+
+  return { transcript: bilingualTranscript, clearTranscript };
+}
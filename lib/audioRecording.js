@@ -0,0 +1,160 @@
+// Local audio recording of a session: the patient's microphone and the
+// receptionist's remote stream, each recorded with MediaRecorder into its own
+// track and uploaded with the session (PUT /api/sessions/:id/audio/:side).
+// Transcript turns are matched to stretches of the recordings by the
+// `recordedAt` times of their events.
+
+export const AUDIO_SIDES = ["patient", "assistant"];
+
+// Speech detection fires a moment after the patient starts talking; start
+// patient segments this much earlier so the first word is not cut off
+const SPEECH_LEAD_MS = 500;
+const AUDIO_BITS_PER_SECOND = 32000;
+const TIMESLICE_MS = 1000;
+
+function pickMimeType() {
+  if (typeof MediaRecorder === "undefined") return null;
+  return (
+    ["audio/webm;codecs=opus", "audio/ogg;codecs=opus", "audio/mp4"].find((type) =>
+      MediaRecorder.isTypeSupported(type),
+    ) || ""
+  );
+}
+
+// Each side is a Web Audio destination that sources are connected to as they
+// come and go (microphone switches, reconnects), so its recording runs
+// unbroken for the whole session. Browsers without MediaRecorder record
+// nothing.
+export function createAudioRecorder() {
+  let context = null;
+  let sides = {};
+  let startedAt = null;
+  let mimeType = null;
+
+  function start() {
+    mimeType = pickMimeType();
+    if (mimeType === null) return;
+    context = new AudioContext();
+    sides = {};
+    AUDIO_SIDES.forEach((side) => {
+      const destination = context.createMediaStreamDestination();
+      const recorder = new MediaRecorder(destination.stream, {
+        ...(mimeType && { mimeType }),
+        audioBitsPerSecond: AUDIO_BITS_PER_SECOND,
+      });
+      const chunks = [];
+      recorder.addEventListener("dataavailable", (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+      });
+      recorder.start(TIMESLICE_MS);
+      sides[side] = { destination, recorder, chunks, source: null };
+    });
+    startedAt = Date.now();
+  }
+
+  // Records `stream` for `side` from now on, in place of the previous one
+  function connect(side, stream) {
+    const entry = sides[side];
+    if (!entry || !stream?.getAudioTracks().length) return;
+    entry.source?.disconnect();
+    entry.source = context.createMediaStreamSource(stream);
+    entry.source.connect(entry.destination);
+  }
+
+  // Resolves with { startedAt, mimeType, tracks: { patient, assistant } }
+  // (Blobs), or null if nothing was recorded
+  async function stop() {
+    if (!context) return null;
+    const recorded = await Promise.all(
+      AUDIO_SIDES.map(
+        (side) =>
+          new Promise((resolve) => {
+            const { recorder, chunks, source } = sides[side];
+            source?.disconnect();
+            if (recorder.state === "inactive") return resolve([side, chunks]);
+            recorder.addEventListener("stop", () => resolve([side, chunks]), { once: true });
+            recorder.stop();
+          }),
+      ),
+    );
+    const type = sides[AUDIO_SIDES[0]].recorder.mimeType || mimeType || "audio/webm";
+    context.close().catch((err) => console.error("Failed to close audio context:", err));
+    context = null;
+    sides = {};
+    return {
+      startedAt,
+      mimeType: type,
+      tracks: Object.fromEntries(
+        recorded.map(([side, chunks]) => [side, new Blob(chunks, { type })]),
+      ),
+    };
+  }
+
+  return {
+    start,
+    connect,
+    stop,
+    get isRecording() {
+      return context !== null;
+    },
+  };
+}
+
+// Where each transcript turn is in the recordings, from the event stream (any
+// order): patient turns by item id from speech_started/speech_stopped, the
+// receptionist's by response id from when its audio started and stopped
+// playing (or, without those events, from the response's first audio or
+// transcript delta to response.done). Times are epoch ms.
+export function audioSegments(events) {
+  const byItem = {};
+  const byResponse = {};
+  const set = (map, key, field, time, keep = (a, b) => b) => {
+    if (!key || !time) return;
+    map[key] = map[key] || {};
+    map[key][field] = map[key][field] === undefined ? time : keep(map[key][field], time);
+  };
+  (events || []).forEach((event) => {
+    const time = event.recordedAt;
+    switch (event.type) {
+      case "input_audio_buffer.speech_started":
+        set(byItem, event.item_id, "start", time - SPEECH_LEAD_MS);
+        break;
+      case "input_audio_buffer.speech_stopped":
+        set(byItem, event.item_id, "end", time);
+        break;
+      case "output_audio_buffer.started":
+        set(byResponse, event.response_id, "played", time);
+        break;
+      case "output_audio_buffer.stopped":
+      case "output_audio_buffer.cleared":
+        set(byResponse, event.response_id, "playedUntil", time);
+        break;
+      case "response.output_audio.delta":
+      case "response.audio.delta":
+      case "response.output_audio_transcript.delta":
+      case "response.audio_transcript.delta":
+        set(byResponse, event.response_id, "firstDelta", time, Math.min);
+        break;
+      case "response.done":
+        set(byResponse, event.response?.id, "done", time);
+        break;
+      default:
+        break;
+    }
+  });
+  return { byItem, byResponse };
+}
+
+// { side, start, end } (epoch ms) of a transcript entry, or null
+export function entrySegment(segments, entry) {
+  if (entry.speaker === "user") {
+    const segment = segments.byItem[entry.itemId];
+    if (!segment?.start || !segment.end) return null;
+    return { side: "patient", start: segment.start, end: segment.end };
+  }
+  const timing = segments.byResponse[entry.responseId];
+  const start = timing?.played || timing?.firstDelta;
+  const end = timing?.playedUntil || timing?.done;
+  if (!start || !end || end <= start) return null;
+  return { side: "assistant", start, end };
+}
@@ -0,0 +1,97 @@
+// The pre-visit note a clinician reads before seeing the patient. "Finish
+// intake" asks the model for it in a text-only, out-of-band response: it is
+// neither spoken nor added to the conversation. Staff edit the result and the
+// final Markdown is stored with the session (PUT /api/sessions/:id/note).
+
+import { INTAKE_SECTIONS, describeIntakeEntry } from "./intake.js";
+import { allergyConflicts } from "./medications.js";
+import { redFlagLabel } from "./redFlags.js";
+
+// `metadata.topic` of the note response, so its events can be told apart
+export const NOTE_TOPIC = "clinician_note";
+
+export const MAX_NOTE_LENGTH = 50000;
+
+export const NOTE_FORMATS = [
+  {
+    id: "soap",
+    label: "SOAP note",
+    headings: ["Subjective", "Objective", "Assessment", "Plan"],
+    guidance: [
+      "Subjective: chief complaint and history of present illness, then past conditions and surgeries, medications, allergies, family history and social history, as the patient reported them.",
+      "Objective: no examination or vitals were taken at intake; say so and add nothing else.",
+      "Assessment: do not diagnose. List the reason for the visit and any concerns the clinician should look at first (red flags, allergy conflicts, unclear answers).",
+      "Plan: questions and items the clinician should follow up with the patient.",
+    ],
+  },
+  {
+    id: "history",
+    label: "Section-by-section history",
+    headings: [
+      "Reason for visit",
+      ...INTAKE_SECTIONS.map((section) => section.label),
+      "Follow up with the patient",
+    ],
+    guidance: [
+      "Use one heading per section, in this order. Under each, list what the patient reported as short bullet points.",
+      "Follow up with the patient: unclear or unconfirmed answers, red flags and allergy conflicts.",
+    ],
+  },
+];
+
+export function noteFormat(id) {
+  return NOTE_FORMATS.find((format) => format.id === id) || null;
+}
+
+function intakeSummary(intake) {
+  return INTAKE_SECTIONS.map((section) => {
+    const entries = intake?.[section.key] || [];
+    const lines = entries.map((entry) => `- ${describeIntakeEntry(section.key, entry)}`);
+    return `${section.label}:\n${lines.length ? lines.join("\n") : "- nothing recorded"}`;
+  }).join("\n");
+}
+
+// `response` parameters for response.create
+export function noteRequest(formatId, { intake, redFlags = [] }) {
+  const format = noteFormat(formatId) || NOTE_FORMATS[0];
+  const concerns = [
+    ...redFlags.map((flag) => `Red flag: ${redFlagLabel(flag.category)}`),
+    ...allergyConflicts(intake).map((conflict) => `Allergy cross-check: ${conflict.reason}`),
+  ];
+  const instructions = [
+    "The intake conversation is over. Do not speak to the patient. Write a pre-visit note for the clinician from the whole conversation and the structured intake below.",
+    `Format: ${format.label}, in Markdown, using exactly these level 2 headings in this order: ${format.headings.join(", ")}.`,
+    ...format.guidance,
+    "Write in English, in concise clinical language, even if the patient spoke another language. Only include what the patient said; write 'Not discussed' where there is nothing. Mark anything the patient was unsure about.",
+    "",
+    "Structured intake recorded during the conversation:",
+    intakeSummary(intake),
+    ...(concerns.length ? ["", "Flagged during the intake:", ...concerns.map((c) => `- ${c}`)] : []),
+  ].join("\n");
+  return {
+    conversation: "none",
+    output_modalities: ["text"],
+    tool_choice: "none",
+    metadata: { topic: NOTE_TOPIC, format: format.id },
+    instructions,
+  };
+}
+
+// Text of a finished note response (`response.done`)
+export function noteResponseText(response) {
+  return (response?.output || [])
+    .flatMap((item) => item.content || [])
+    .map((part) => part.text || part.transcript || "")
+    .join("");
+}
+
+// The note as exported: a title block, then the note itself
+export function noteMarkdown(text, { patientId, startedAt, protocol, format }) {
+  const details = [
+    `Patient: ${patientId || "unidentified"}`,
+    startedAt && `Intake: ${new Date(startedAt).toLocaleString()}`,
+    protocol && `Protocol: ${protocol.id} v${protocol.version}`,
+    noteFormat(format) && `Format: ${noteFormat(format).label}`,
+  ].filter(Boolean);
+  return `# Pre-visit note\n\n${details.join("  \n")}\n\n${text.trim()}\n`;
+}
@@ -0,0 +1,96 @@
+// Filtering and grouping for the event log. Events are stamped with their
+// `direction` as they pass through the console (see lib/eventRecording.js).
+
+export const EVENT_FAMILIES = [
+  { id: "session", label: "session" },
+  { id: "input_audio_buffer", label: "input audio" },
+  { id: "conversation", label: "conversation" },
+  { id: "response", label: "response" },
+  { id: "output_audio_buffer", label: "output audio" },
+  { id: "error", label: "errors" },
+  { id: "other", label: "other" },
+];
+
+const FAMILY_IDS = new Set(EVENT_FAMILIES.map((family) => family.id));
+
+export function eventFamily(event) {
+  if (isErrorEvent(event)) return "error";
+  const prefix = event.type.split(".")[0];
+  return FAMILY_IDS.has(prefix) ? prefix : "other";
+}
+
+// `error` events, and events reporting that something failed (a transcription,
+// a response)
+export function isErrorEvent(event) {
+  return (
+    event.type === "error" ||
+    event.type.endsWith(".failed") ||
+    (event.type === "response.done" && event.response?.status === "failed")
+  );
+}
+
+export function isDeltaEvent(event) {
+  return event.type.endsWith(".delta");
+}
+
+// Audio deltas carry base64 audio, not text
+function deltaText(event) {
+  return typeof event.delta === "string" && !/(^|\.)audio\.delta$/.test(event.type)
+    ? event.delta
+    : "";
+}
+
+// Case-insensitive search through the whole payload. With a `redactor` the
+// search runs on the redacted payload the log displays, so masked PHI can't be
+// found by typing it in.
+export function matchesSearch(event, query, redactor = null) {
+  if (!query) return true;
+  const payload = redactor ? redactor.redactValue(event) : event;
+  return JSON.stringify(payload).toLowerCase().includes(query.toLowerCase());
+}
+
+// Events that pass the filters: `families` (ids to show), `direction`
+// ("all", "client", "server") and `query`, searched through `redactor` if given
+export function filterEvents(events, { families, direction = "all", query = "", redactor = null }) {
+  return events.filter(
+    (event) =>
+      families.includes(eventFamily(event)) &&
+      (direction === "all" || event.direction === direction) &&
+      matchesSearch(event, query, redactor),
+  );
+}
+
+// Display rows for `events` (newest first, as the log shows them): single
+// events, and one row per delta stream ({ type, responseId, itemId, events,
+// text }) collapsing all the deltas of one type for one response (or, for
+// input transcription, one item). A group sits where its newest delta is;
+// `text` joins the deltas in the order they arrived.
+export function groupDeltas(events) {
+  const rows = [];
+  const groups = new Map();
+  events.forEach((event) => {
+    if (!isDeltaEvent(event)) {
+      rows.push({ event });
+      return;
+    }
+    const parent = event.response_id || event.item_id || "";
+    const key = `${event.type}:${parent}:${event.output_index ?? ""}:${event.content_index ?? ""}`;
+    let group = groups.get(key);
+    if (!group) {
+      group = {
+        key,
+        type: event.type,
+        responseId: event.response_id || null,
+        itemId: event.item_id || null,
+        events: [],
+      };
+      groups.set(key, group);
+      rows.push({ group });
+    }
+    group.events.push(event);
+  });
+  groups.forEach((group) => {
+    group.text = group.events.map(deltaText).reverse().join("");
+  });
+  return rows;
+}
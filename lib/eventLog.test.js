@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { filterEvents } from "./eventLog.js";
+import { createRedactor } from "./redact.js";
+
+const EVENTS = [
+  {
+    type: "conversation.item.input_audio_transcription.completed",
+    direction: "server",
+    transcript: "My name is Maria Lopez and my number is 555-123-4567",
+  },
+  { type: "response.done", direction: "server", response: { status: "completed" } },
+];
+
+const FILTERS = { families: ["conversation", "response"] };
+
+test("searches the redacted payload the log displays", () => {
+  const redactor = createRedactor();
+  const search = (query) => filterEvents(EVENTS, { ...FILTERS, query, redactor });
+
+  assert.deepEqual(search("Lopez"), []);
+  assert.deepEqual(search("555-123"), []);
+  assert.deepEqual(search("[name_1]"), [EVENTS[0]]);
+  assert.deepEqual(search("my number"), [EVENTS[0]]);
+});
+
+test("searches the raw payload when unredacted payloads are shown", () => {
+  assert.deepEqual(filterEvents(EVENTS, { ...FILTERS, query: "lopez" }), [EVENTS[0]]);
+});
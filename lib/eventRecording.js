@@ -0,0 +1,143 @@
+// Recording and replay of Realtime event streams. Every client and server
+// event is stamped with its direction and a millisecond-precise `recordedAt`
+// (epoch ms) when it passes through the console; a recording is the stamped
+// events, oldest first, one JSON object per line (JSONL).
+
+const FALLBACK_GAP_MS = 50;
+
+function now() {
+  if (typeof performance !== "undefined" && performance.timeOrigin) {
+    return Math.round((performance.timeOrigin + performance.now()) * 1000) / 1000;
+  }
+  return Date.now();
+}
+
+// Adds `direction` ("client" | "server"), `recordedAt` and the display
+// `timestamp` to `event` in place. Call after sending: the API rejects
+// unknown fields on client events.
+export function stampEvent(event, direction) {
+  event.direction = event.direction || direction;
+  event.recordedAt = event.recordedAt || now();
+  if (!event.timestamp) {
+    event.timestamp = new Date(event.recordedAt).toLocaleTimeString();
+  }
+  return event;
+}
+
+export function toJsonl(events) {
+  return events.map((event) => `${JSON.stringify(event)}\n`).join("");
+}
+
+// Parses a JSONL recording (a JSON array is accepted too); throws with the
+// offending line number on malformed input.
+export function parseRecording(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith("[")) {
+    return JSON.parse(trimmed).filter((event) => event?.type);
+  }
+  return trimmed
+    .split("\n")
+    .map((line, index) => {
+      if (!line.trim()) return null;
+      try {
+        return JSON.parse(line);
+      } catch {
+        throw new Error(`Invalid JSON on line ${index + 1}`);
+      }
+    })
+    .filter((event) => event?.type);
+}
+
+// Milliseconds from the start of the recording to `events[index]`
+export function recordingOffset(events, index) {
+  const first = events[0]?.recordedAt;
+  const event = events[index];
+  if (!event) return 0;
+  return first && event.recordedAt ? event.recordedAt - first : index * FALLBACK_GAP_MS;
+}
+
+// Plays `events` (oldest first) back through `onEvent`, keeping the recorded
+// gaps divided by `speed`. `onChange` gets { position, total, isPlaying, speed }
+// whenever one of them changes. Events recorded before timestamps existed are
+// spaced evenly.
+export function createReplay(events, { onEvent, onChange = () => {} }) {
+  let position = 0;
+  let isPlaying = false;
+  let speed = 1;
+  let timer = null;
+
+  function state() {
+    return { position, total: events.length, isPlaying, speed };
+  }
+
+  function emitNext() {
+    if (position >= events.length) return false;
+    onEvent(events[position], position);
+    position += 1;
+    return true;
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    if (!isPlaying) return;
+    if (position >= events.length) {
+      isPlaying = false;
+      onChange(state());
+      return;
+    }
+    const gap =
+      position === 0
+        ? 0
+        : recordingOffset(events, position) - recordingOffset(events, position - 1);
+    timer = setTimeout(() => {
+      emitNext();
+      onChange(state());
+      schedule();
+    }, Math.max(0, gap) / speed);
+  }
+
+  function play() {
+    if (isPlaying || position >= events.length) return;
+    isPlaying = true;
+    onChange(state());
+    schedule();
+  }
+
+  function pause() {
+    clearTimeout(timer);
+    isPlaying = false;
+    onChange(state());
+  }
+
+  // Emit exactly one event; pauses playback
+  function step() {
+    clearTimeout(timer);
+    isPlaying = false;
+    emitNext();
+    onChange(state());
+  }
+
+  function reset() {
+    clearTimeout(timer);
+    isPlaying = false;
+    position = 0;
+    onChange(state());
+  }
+
+  function setSpeed(value) {
+    speed = value > 0 ? value : 1;
+    onChange(state());
+    schedule();
+  }
+
+  return {
+    play,
+    pause,
+    step,
+    reset,
+    setSpeed,
+    get state() {
+      return state();
+    },
+  };
+}
@@ -0,0 +1,198 @@
+// FHIR R4 export of a completed intake. Used by the console download button
+// and by the server route for stored sessions, so both produce the same bundle.
+
+import { INTAKE_SECTIONS, describeIntakeEntry } from "./intake.js";
+import { formatTranscriptText, translatedEntries } from "./transcript.js";
+import { isBilingual, transcriptLanguages } from "./translation.js";
+
+export const INTAKE_QUESTIONNAIRE = "http://helloheathcare.local/fhir/Questionnaire/patient-intake";
+export const PATIENT_IDENTIFIER_SYSTEM = "http://helloheathcare.local/fhir/patient-id";
+
+const CONDITION_CATEGORY = "http://terminology.hl7.org/CodeSystem/condition-category";
+const CONDITION_CLINICAL = "http://terminology.hl7.org/CodeSystem/condition-clinical";
+const CONDITION_VERIFICATION = "http://terminology.hl7.org/CodeSystem/condition-ver-status";
+const ALLERGY_CLINICAL = "http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical";
+const ALLERGY_VERIFICATION = "http://terminology.hl7.org/CodeSystem/allergyintolerance-verification";
+
+function toBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function coding(system, code) {
+  return { coding: [{ system, code }] };
+}
+
+function entry(resource) {
+  const id = crypto.randomUUID();
+  return {
+    fullUrl: `urn:uuid:${id}`,
+    resource: { ...resource, id },
+    request: { method: "POST", url: resource.resourceType },
+  };
+}
+
+function subjectOf(patientId) {
+  return patientId
+    ? { identifier: { system: PATIENT_IDENTIFIER_SYSTEM, value: patientId } }
+    : { display: "Unidentified patient" };
+}
+
+function questionnaireResponse(intake, subject, authored) {
+  return {
+    resourceType: "QuestionnaireResponse",
+    questionnaire: INTAKE_QUESTIONNAIRE,
+    status: "completed",
+    subject,
+    authored,
+    // FHIR does not allow empty arrays: a section with nothing recorded is an
+    // item without `answer`
+    item: INTAKE_SECTIONS.map((section) => {
+      const answer = (intake[section.key] || []).map((item) => ({
+        valueString: describeIntakeEntry(section.key, item),
+      }));
+      return {
+        linkId: section.key,
+        text: section.label,
+        ...(answer.length > 0 ? { answer } : {}),
+      };
+    }),
+  };
+}
+
+function allergyIntolerance(allergy, patient, recordedDate) {
+  const resource = {
+    resourceType: "AllergyIntolerance",
+    clinicalStatus: coding(ALLERGY_CLINICAL, "active"),
+    verificationStatus: coding(ALLERGY_VERIFICATION, "unconfirmed"),
+    code: { text: allergy.substance },
+    patient,
+    recordedDate,
+  };
+  if (allergy.reaction) {
+    resource.reaction = [
+      {
+        manifestation: [{ text: allergy.reaction }],
+        ...(["mild", "moderate", "severe"].includes(allergy.severity)
+          ? { severity: allergy.severity }
+          : {}),
+      },
+    ];
+  }
+  return resource;
+}
+
+function medicationStatement(medication, subject, dateAsserted) {
+  const dosage = [medication.dose, medication.frequency].filter(Boolean).join(" ");
+  return {
+    resourceType: "MedicationStatement",
+    status: "active",
+    medicationCodeableConcept: { text: medication.name },
+    subject,
+    dateAsserted,
+    ...(dosage ? { dosage: [{ text: dosage }] } : {}),
+    ...(medication.reason ? { reasonCode: [{ text: medication.reason }] } : {}),
+    ...(medication.kind ? { note: [{ text: `Reported as ${medication.kind}` }] } : {}),
+  };
+}
+
+function condition({ text, category, status, note }, subject, recordedDate) {
+  return {
+    resourceType: "Condition",
+    clinicalStatus: coding(CONDITION_CLINICAL, status === "resolved" ? "resolved" : "active"),
+    verificationStatus: coding(CONDITION_VERIFICATION, "unconfirmed"),
+    category: [coding(CONDITION_CATEGORY, category)],
+    code: { text },
+    subject,
+    recordedDate,
+    ...(note ? { note: [{ text: note }] } : {}),
+  };
+}
+
+function documentReference(transcript, subject, date) {
+  const { patient, clinic } = transcriptLanguages(transcript);
+  return {
+    resourceType: "DocumentReference",
+    status: "current",
+    type: { text: "Patient intake conversation transcript" },
+    subject,
+    date,
+    content: [
+      {
+        attachment: {
+          contentType: "text/plain; charset=utf-8",
+          ...(patient && { language: patient }),
+          title: "Intake transcript",
+          data: toBase64(formatTranscriptText(transcript)),
+        },
+      },
+      // Turns the patient took in another language, all in the clinic's
+      ...(isBilingual(transcript)
+        ? [
+            {
+              attachment: {
+                contentType: "text/plain; charset=utf-8",
+                ...(clinic && { language: clinic }),
+                title: "Intake transcript (translated)",
+                data: toBase64(formatTranscriptText(translatedEntries(transcript))),
+              },
+            },
+          ]
+        : []),
+    ],
+  };
+}
+
+// Build a transaction Bundle for an intake. `transcript` is a list of
+// transcript entries; `patientId` is the clinic's patient identifier, if known.
+export function buildIntakeBundle({ intake, transcript = [], patientId, completedAt }) {
+  const authored = new Date(completedAt || Date.now()).toISOString();
+  const subject = subjectOf(patientId);
+
+  const resources = [
+    questionnaireResponse(intake, subject, authored),
+    ...(intake.allergies || []).map((a) => allergyIntolerance(a, subject, authored)),
+    ...(intake.medications || []).map((m) => medicationStatement(m, subject, authored)),
+    ...(intake.conditions || []).map((c) =>
+      condition(
+        {
+          text: c.name,
+          category: "problem-list-item",
+          status: c.status,
+          note: [c.kind === "surgery" && "Surgical history", c.year, c.notes]
+            .filter(Boolean)
+            .join("; "),
+        },
+        subject,
+        authored,
+      ),
+    ),
+    // Symptoms are what the patient reported, not diagnoses
+    ...(intake.symptoms || []).map((s) =>
+      condition(
+        {
+          text: s.description,
+          category: "problem-list-item",
+          status: "active",
+          note: describeIntakeEntry("symptoms", s),
+        },
+        subject,
+        authored,
+      ),
+    ),
+  ];
+  if (transcript.length > 0) {
+    resources.push(documentReference(transcript, subject, authored));
+  }
+
+  return {
+    resourceType: "Bundle",
+    type: "transaction",
+    timestamp: authored,
+    entry: resources.map(entry),
+  };
+}
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildIntakeBundle } from "./fhir.js";
+
+const INTAKE = {
+  symptoms: [{ description: "headache", onset: "three days ago", severity: "moderate" }],
+  conditions: [],
+  allergies: [{ substance: "penicillin", reaction: "rash", severity: "mild" }],
+  medications: [],
+};
+
+// Paths of arrays without elements, which FHIR does not allow
+function emptyArrays(value, path = "") {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [path];
+    return value.flatMap((item, index) => emptyArrays(item, `${path}[${index}]`));
+  }
+  if (value && typeof value === "object") {
+    return Object.entries(value).flatMap(([key, item]) => emptyArrays(item, `${path}.${key}`));
+  }
+  return [];
+}
+
+function resources(bundle, type) {
+  return bundle.entry.map((e) => e.resource).filter((r) => r.resourceType === type);
+}
+
+test("round-trips an intake with empty sections without empty arrays", () => {
+  const bundle = JSON.parse(
+    JSON.stringify(buildIntakeBundle({ intake: INTAKE, completedAt: "2026-01-01T09:00:00Z" })),
+  );
+
+  assert.deepEqual(emptyArrays(bundle), []);
+  const [response] = resources(bundle, "QuestionnaireResponse");
+  const items = Object.fromEntries(response.item.map((item) => [item.linkId, item]));
+  assert.equal(items.conditions.answer, undefined);
+  assert.equal(items.familyHistory.answer, undefined);
+  assert.equal(items.allergies.answer.length, 1);
+  assert.equal(resources(bundle, "AllergyIntolerance").length, 1);
+  assert.equal(resources(bundle, "MedicationStatement").length, 0);
+});
+
+test("exports reported symptoms as unconfirmed problem list items, not diagnoses", () => {
+  const bundle = buildIntakeBundle({ intake: INTAKE, patientId: "p-1" });
+
+  const [symptom] = resources(bundle, "Condition");
+  assert.equal(symptom.code.text, "headache");
+  assert.equal(symptom.category[0].coding[0].code, "problem-list-item");
+  assert.equal(symptom.verificationStatus.coding[0].code, "unconfirmed");
+});
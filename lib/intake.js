@@ -0,0 +1,243 @@
+import { allergyConflicts } from "./medications.js";
+
+// Structured intake model shared by the console and the server.
+// Each section is filled by one function-calling tool; every recorded answer
+// keeps a reference to the conversation item (transcript turn) it came from.
+
+export const INTAKE_SECTIONS = [
+  { key: "symptoms", tool: "record_symptom", label: "Current symptoms" },
+  { key: "conditions", tool: "record_condition", label: "Past conditions & surgeries" },
+  { key: "allergies", tool: "record_allergy", label: "Allergies" },
+  { key: "medications", tool: "record_medication", label: "Medications" },
+  { key: "familyHistory", tool: "record_family_history", label: "Family history" },
+  { key: "lifestyle", tool: "record_lifestyle", label: "Lifestyle" },
+];
+
+export const INTAKE_TOOLS = [
+  {
+    type: "function",
+    name: "record_symptom",
+    description:
+      "Call this whenever the patient describes a current symptom or concern. Call once per symptom.",
+    parameters: {
+      type: "object",
+      properties: {
+        description: {
+          type: "string",
+          description: "The symptom in plain words, e.g. 'sharp lower back pain'.",
+        },
+        onset: { type: "string", description: "When it started, as the patient said it." },
+        severity: {
+          type: "string",
+          enum: ["mild", "moderate", "severe"],
+          description: "Severity as reported by the patient.",
+        },
+        location: { type: "string", description: "Body location, if any." },
+        notes: { type: "string", description: "Triggers, pattern or other detail." },
+      },
+      required: ["description"],
+    },
+  },
+  {
+    type: "function",
+    name: "record_condition",
+    description:
+      "Call this when the patient mentions a past or ongoing medical condition or a surgery.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Condition or procedure name." },
+        kind: { type: "string", enum: ["condition", "surgery"] },
+        status: { type: "string", enum: ["active", "resolved", "unknown"] },
+        year: { type: "string", description: "Year or age when diagnosed or operated." },
+        notes: { type: "string" },
+      },
+      required: ["name"],
+    },
+  },
+  {
+    type: "function",
+    name: "record_allergy",
+    description:
+      "Call this when the patient reports an allergy or intolerance (drug, food, environmental).",
+    parameters: {
+      type: "object",
+      properties: {
+        substance: { type: "string", description: "What the patient is allergic to." },
+        reaction: { type: "string", description: "What happens, e.g. 'hives'." },
+        severity: { type: "string", enum: ["mild", "moderate", "severe", "unknown"] },
+      },
+      required: ["substance"],
+    },
+  },
+  {
+    type: "function",
+    name: "record_medication",
+    description:
+      "Call this for each medication the patient takes: prescriptions, over-the-counter drugs and supplements.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Medication name as the patient said it." },
+        dose: { type: "string", description: "Strength or amount, e.g. '20 mg'." },
+        frequency: { type: "string", description: "How often, e.g. 'once a day'." },
+        kind: { type: "string", enum: ["prescription", "otc", "supplement"] },
+        reason: { type: "string" },
+      },
+      required: ["name"],
+    },
+  },
+  {
+    type: "function",
+    name: "record_family_history",
+    description: "Call this when the patient mentions a health condition of a blood relative.",
+    parameters: {
+      type: "object",
+      properties: {
+        relative: { type: "string", description: "e.g. 'mother', 'paternal grandfather'." },
+        condition: { type: "string" },
+        age_at_onset: { type: "string" },
+      },
+      required: ["relative", "condition"],
+    },
+  },
+  {
+    type: "function",
+    name: "record_lifestyle",
+    description:
+      "Call this for lifestyle information: diet, exercise, smoking, alcohol, drug use, sleep, stress or occupation.",
+    parameters: {
+      type: "object",
+      properties: {
+        category: {
+          type: "string",
+          enum: ["diet", "exercise", "smoking", "alcohol", "drugs", "sleep", "stress", "occupation", "other"],
+        },
+        detail: { type: "string", description: "What the patient said, summarized." },
+      },
+      required: ["category", "detail"],
+    },
+  },
+];
+
+const sectionByTool = Object.fromEntries(
+  INTAKE_SECTIONS.map((section) => [section.tool, section.key]),
+);
+
+export function isIntakeTool(name) {
+  return Boolean(sectionByTool[name]);
+}
+
+export function emptyIntake() {
+  return Object.fromEntries(INTAKE_SECTIONS.map((section) => [section.key, []]));
+}
+
+// Returns a new intake with the tool call's arguments appended to its section.
+// `source` identifies the transcript turn the answer was taken from.
+export function applyIntakeCall(intake, { callId, name, args, source }) {
+  const key = sectionByTool[name];
+  if (!key) return intake;
+
+  const entries = intake[key] || [];
+  if (callId && entries.some((entry) => entry.id === callId)) {
+    return intake;
+  }
+
+  return {
+    ...intake,
+    [key]: [
+      ...entries,
+      {
+        ...args,
+        id: callId || `${name}_${entries.length}`,
+        source: source || null,
+        recordedAt: new Date().toISOString(),
+      },
+    ],
+  };
+}
+
+// Rebuilds the intake from a recorded event stream (oldest first), the way the
+// console's tool handlers fill it during a live session.
+export function intakeFromEvents(events) {
+  let intake = emptyIntake();
+  let lastUserItemId = null;
+  events.forEach((event) => {
+    if (
+      event.type === "input_audio_buffer.committed" ||
+      event.type === "conversation.item.input_audio_transcription.completed"
+    ) {
+      lastUserItemId = event.item_id;
+    } else if (event.type === "conversation.item.create" && event.item?.role === "user") {
+      lastUserItemId = event.item.id || lastUserItemId;
+    }
+    const calls =
+      event.type === "response.function_call_arguments.done"
+        ? [{ name: event.name, call_id: event.call_id, arguments: event.arguments }]
+        : event.type === "response.done"
+          ? (event.response?.output || []).filter((output) => output.type === "function_call")
+          : [];
+    calls.forEach((call) => {
+      let args;
+      try {
+        args = JSON.parse(call.arguments || "{}");
+      } catch {
+        return;
+      }
+      intake = applyIntakeCall(intake, {
+        callId: call.call_id,
+        name: call.name,
+        args,
+        source: lastUserItemId ? { itemId: lastUserItemId } : null,
+      });
+    });
+  });
+  return intake;
+}
+
+// Flags shown to clinicians in the review list. `requiredSections` comes from
+// the session's protocol; without one every section is expected.
+export function intakeFlags(intake, requiredSections) {
+  if (!intake) return ["no intake"];
+  const flags = [];
+  const required = requiredSections || INTAKE_SECTIONS.map((section) => section.key);
+  const missing = required.filter((key) => !intake[key]?.length);
+  if (missing.length > 0) flags.push("incomplete");
+  if (intake.symptoms?.some((s) => s.severity === "severe")) flags.push("severe symptom");
+  if (intake.allergies?.some((a) => a.severity === "severe")) flags.push("severe allergy");
+  if (allergyConflicts(intake).length > 0) flags.push("allergy conflict");
+  if (intake.medications?.some((m) => m.normalized && m.normalized.status !== "matched")) {
+    flags.push("unconfirmed medication");
+  }
+  return flags;
+}
+
+// One-line human readable form of an intake entry, used by the form and exports.
+export function describeIntakeEntry(key, entry) {
+  switch (key) {
+    case "symptoms":
+      return [entry.description, entry.location, entry.severity, entry.onset && `since ${entry.onset}`, entry.notes]
+        .filter(Boolean)
+        .join(", ");
+    case "conditions":
+      return [entry.name, entry.kind === "surgery" && "surgery", entry.status, entry.year, entry.notes]
+        .filter(Boolean)
+        .join(", ");
+    case "allergies":
+      return [entry.substance, entry.reaction && `reaction: ${entry.reaction}`, entry.severity]
+        .filter(Boolean)
+        .join(", ");
+    case "medications":
+      return [entry.name, entry.dose, entry.frequency, entry.kind, entry.reason && `for ${entry.reason}`]
+        .filter(Boolean)
+        .join(", ");
+    case "familyHistory":
+      return [entry.relative, entry.condition, entry.age_at_onset && `onset ${entry.age_at_onset}`]
+        .filter(Boolean)
+        .join(", ");
+    case "lifestyle":
+      return `${entry.category}: ${entry.detail}`;
+    default:
+      return JSON.stringify(entry);
+  }
+}
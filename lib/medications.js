@@ -0,0 +1,310 @@
+// Medication and allergy normalization against the bundled drug vocabulary
+// (config/drugs.json, served by GET /api/drugs). Transcription spells drug
+// names however it hears them ("lipiter 20 milligram"), so names are matched
+// fuzzily against generic and brand names, and strength, dose form and
+// frequency are parsed from the rest of the phrase. Matches the receptionist
+// should confirm with the patient come back as "uncertain".
+
+// Name similarity (0-1) at which a match is taken without asking
+const CONFIDENT = 0.9;
+// Below this a phrase is not treated as the drug at all
+const POSSIBLE = 0.7;
+// Two candidates this close are ambiguous
+const AMBIGUOUS_MARGIN = 0.05;
+
+export const LOOKUP_MEDICATION_TOOL = {
+  type: "function",
+  name: "lookup_medication",
+  description:
+    "Call this with the patient's words whenever they mention a medication, before recording it with record_medication. Returns the normalized name, strength, form and frequency, and any conflict with allergies recorded so far. If the status is 'uncertain', ask the patient the returned `confirm` question and only record the medication once they agree. If it is 'not_found', ask them to spell the name or read it from the packaging. Never give advice about allergy conflicts; the clinician will review them.",
+  parameters: {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description:
+          "What the patient said about the medication, e.g. 'lipiter 20 milligram once a day'.",
+      },
+    },
+    required: ["text"],
+  },
+};
+
+const STRENGTH =
+  /(\d+(?:\.\d+)?)\s*(milligrams?|milligrammes?|mgs?|micrograms?|mcg|grams?|g|milliliters?|millilitres?|ml|international units|units?|iu)\b/;
+
+const UNITS = [
+  [/^(milligram|milligramme|mg)/, "mg"],
+  [/^(microgram|mcg)/, "mcg"],
+  [/^(milliliter|millilitre|ml)/, "mL"],
+  [/^(international units|unit|iu)/, "units"],
+  [/^(gram|g)/, "g"],
+];
+
+const FORMS = [
+  ["tablet", /\b(tablets?|tabs?|pills?)\b/],
+  ["capsule", /\b(capsules?|caps?|softgels?)\b/],
+  ["inhaler", /\b(inhalers?|puffers?|puffs?)\b/],
+  ["nasal spray", /\b(nasal )?sprays?\b/],
+  ["injection", /\b(injections?|shots?|pens?)\b/],
+  ["patch", /\bpatch(es)?\b/],
+  ["cream", /\b(creams?|ointments?)\b/],
+  ["liquid", /\b(liquid|syrup|solution|suspension)\b/],
+  ["drops", /\bdrops\b/],
+];
+
+// First match wins, so more specific phrases come first
+const FREQUENCIES = [
+  ["four times daily", /\b(four|4) times (a|per|each) day\b|\bevery (6|six) hours\b/],
+  ["three times daily", /\b(three|3) times (a|per|each) day\b|\bevery (8|eight) hours\b/],
+  [
+    "twice daily",
+    /\b(twice|two times|2 times) (a|per|each) day\b|\btwice daily\b|\bevery (12|twelve) hours\b|\bmorning and (night|evening)\b/,
+  ],
+  ["every (n) hours", /\bevery (\d+) hours\b/],
+  ["once weekly", /\b(once|one time) (a|per|each) week\b|\bweekly\b|\bevery week\b/],
+  ["at bedtime", /\b(at bedtime|at night|before bed)\b/],
+  ["every morning", /\b(in the morning|every morning)\b/],
+  ["once daily", /\b(once|one time|1 time) (a|per|each) day\b|\bdaily\b|\bevery ?day\b/],
+];
+const AS_NEEDED = /\b(as needed|when needed|if needed|when i need (it|them)|prn)\b/;
+
+const STOPWORDS = new Set([
+  "i", "im", "a", "an", "the", "my", "of", "and", "or", "for", "on", "it", "is", "take", "takes",
+  "taking", "took", "use", "using", "some", "called", "also", "just", "about", "one", "two",
+  "dose", "doses", "medicine", "medication", "with", "per", "day", "each", "times", "time",
+]);
+
+function simplify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z]/g, "")
+    .replace(/ph/g, "f")
+    .replace(/y/g, "i")
+    .replace(/ck|q/g, "k")
+    .replace(/(.)\1+/g, "$1");
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 0-1, after folding case, spacing and common misspellings (ph/f, y/i, doubled letters)
+export function similarity(a, b) {
+  const x = simplify(a);
+  const y = simplify(b);
+  if (!x || !y) return 0;
+  return 1 - editDistance(x, y) / Math.max(x.length, y.length);
+}
+
+function formatStrength(value, unit) {
+  const canonical = UNITS.find(([pattern]) => pattern.test(unit))?.[1] || unit;
+  return `${Number(value)} ${canonical}`;
+}
+
+// Strength, form and frequency from a spoken phrase, plus the words left over
+// as possible drug names
+export function parseMedicationText(text) {
+  let rest = ` ${(text || "").toLowerCase().replace(/[,.;!?]/g, " ")} `;
+  const take = (pattern) => {
+    const match = pattern.exec(rest);
+    if (match) rest = rest.replace(match[0], " ");
+    return match;
+  };
+
+  const strengthMatch = take(STRENGTH);
+  let form = null;
+  for (const [id, pattern] of FORMS) {
+    if (take(pattern)) {
+      form = id;
+      break;
+    }
+  }
+  let frequency = null;
+  for (const [label, pattern] of FREQUENCIES) {
+    const match = take(pattern);
+    if (match) {
+      frequency = label === "every (n) hours" ? `every ${match[1]} hours` : label;
+      break;
+    }
+  }
+  if (take(AS_NEEDED)) frequency = frequency ? `${frequency}, as needed` : "as needed";
+
+  // "zoloft 50": a number without a unit, checked against the drug's strengths
+  const number = strengthMatch ? null : take(/\b\d+(\.\d+)?\b/)?.[0] || null;
+  const words = rest.split(/\s+/).filter((word) => word.length > 1 && !STOPWORDS.has(word));
+  // Single words and pairs, for names like "insulin glargine" or "fish oil"
+  const phrases = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+  if (words.length > 2) phrases.push(words.join(" "));
+
+  return {
+    strength: strengthMatch ? formatStrength(strengthMatch[1], strengthMatch[2]) : null,
+    number,
+    form,
+    frequency,
+    phrases,
+  };
+}
+
+function bestName(drug, phrases) {
+  let best = { score: 0, name: null };
+  [drug.name, ...drug.brands].forEach((name) =>
+    phrases.forEach((phrase) => {
+      const score = similarity(phrase, name);
+      if (score > best.score) best = { score, name };
+    }),
+  );
+  return best;
+}
+
+function classLabels(dictionary, ids) {
+  return ids.map((id) => dictionary.classes.find((c) => c.id === id)?.label || id);
+}
+
+// Looks up a spoken medication. Returns { status, confidence, medication,
+// candidates, confirm? } where status is "matched", "uncertain" (ask the
+// patient `confirm`) or "not_found".
+export function lookupMedication(dictionary, text) {
+  const parsed = parseMedicationText(text);
+  const scored = dictionary.drugs
+    .map((drug) => ({ drug, ...bestName(drug, parsed.phrases) }))
+    .filter(({ score }) => score >= POSSIBLE)
+    .sort((a, b) => b.score - a.score);
+
+  if (scored.length === 0) {
+    return {
+      status: "not_found",
+      confidence: 0,
+      medication: null,
+      candidates: [],
+      strength: parsed.strength,
+      form: parsed.form,
+      frequency: parsed.frequency,
+    };
+  }
+
+  const [top, next] = scored;
+  const { drug } = top;
+  const brand = top.name === drug.name ? null : top.name;
+  const strength =
+    parsed.strength ||
+    (parsed.number &&
+      drug.strengths.find((known) => known.startsWith(`${Number(parsed.number)} `))) ||
+    null;
+  const medication = {
+    name: drug.name,
+    brand,
+    classes: classLabels(dictionary, drug.classes),
+    kind: drug.kind,
+    strength,
+    form: parsed.form || (drug.forms.length === 1 ? drug.forms[0] : null),
+    frequency: parsed.frequency,
+  };
+
+  const doubts = [];
+  if (top.score < CONFIDENT) doubts.push(`the name sounded like ${top.name}`);
+  if (next && top.score - next.score < AMBIGUOUS_MARGIN && next.drug !== drug) {
+    doubts.push(`it could also be ${next.drug.name}`);
+  }
+  if (parsed.strength && !drug.strengths.includes(parsed.strength)) {
+    doubts.push(`${parsed.strength} is not a usual strength (${drug.strengths.join(", ")})`);
+  } else if (parsed.number && !strength) {
+    doubts.push(`${parsed.number} is not a usual strength (${drug.strengths.join(", ")})`);
+  }
+  const label = brand ? `${brand} (${drug.name})` : drug.name;
+  const result = {
+    status: doubts.length ? "uncertain" : "matched",
+    confidence: Math.round(top.score * 100) / 100,
+    medication,
+    candidates: scored.slice(0, 3).map((candidate) => candidate.drug.name),
+  };
+  if (doubts.length) {
+    result.doubts = doubts;
+    result.confirm = `Just to check, did you mean ${[label, medication.strength]
+      .filter(Boolean)
+      .join(" ")}?`;
+  }
+  return result;
+}
+
+// What is kept with a recorded medication (`normalized` on the intake entry)
+export function normalizeMedication(dictionary, { name, dose, frequency }) {
+  const { status, confidence, medication } = lookupMedication(
+    dictionary,
+    [name, dose, frequency].filter(Boolean).join(" "),
+  );
+  return medication ? { status, confidence, ...medication } : { status, confidence };
+}
+
+// What is kept with a recorded allergy: the drug and/or drug classes it
+// covers, or null for allergens that are not drugs (foods, latex, ...)
+export function normalizeAllergy(dictionary, { substance }) {
+  const text = (substance || "").toLowerCase();
+  const drugClass = dictionary.classes.find((c) =>
+    [c.label, ...c.aliases].some((alias) => similarity(alias, text) >= CONFIDENT),
+  );
+  const lookup = drugClass ? null : lookupMedication(dictionary, text);
+  const drug = lookup?.medication && dictionary.drugs.find((d) => d.name === lookup.medication.name);
+  if (!drugClass && !drug) return null;
+
+  const classIds = drugClass ? [drugClass.id] : drug.classes;
+  const crossReactive = classIds.flatMap(
+    (id) => dictionary.classes.find((c) => c.id === id)?.crossReactive || [],
+  );
+  return {
+    status: drugClass ? "matched" : lookup.status,
+    name: drug?.name || null,
+    classes: classLabels(dictionary, classIds),
+    crossReactive: classLabels(dictionary, crossReactive),
+  };
+}
+
+// Reported medications that clash with reported allergies, from the
+// `normalized` data on intake entries. "conflict" is the allergen itself or
+// its class; "caution" a class known to cross-react.
+export function allergyConflicts(intake) {
+  const conflicts = [];
+  (intake?.allergies || []).forEach((allergy) => {
+    const allergen = allergy.normalized;
+    if (!allergen) return;
+    (intake.medications || []).forEach((medication) => {
+      const drug = medication.normalized;
+      if (!drug?.name) return;
+      const conflict = { allergyId: allergy.id, medicationId: medication.id };
+      const sharedClass = drug.classes.find((c) => allergen.classes.includes(c));
+      const relatedClass = drug.classes.find((c) => allergen.crossReactive.includes(c));
+      if (allergen.name && allergen.name === drug.name) {
+        conflicts.push({
+          ...conflict,
+          severity: "conflict",
+          reason: `${medication.name} is reported as both an allergy and a current medication`,
+        });
+      } else if (sharedClass) {
+        conflicts.push({
+          ...conflict,
+          severity: "conflict",
+          reason: `${medication.name} is in the same class (${sharedClass}) as the ${allergy.substance} allergy`,
+        });
+      } else if (relatedClass) {
+        conflicts.push({
+          ...conflict,
+          severity: "caution",
+          reason: `${medication.name} (${relatedClass}) may cross-react with the ${allergy.substance} allergy`,
+        });
+      }
+    });
+  });
+  return conflicts;
+}
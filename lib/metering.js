@@ -0,0 +1,119 @@
+// Token usage and cost metering. Every `response.done` reports the tokens the
+// response used, split into text and audio and with the cached part of the
+// input; they are added up per response and per session and priced with the
+// price table in config/pricing.json (served by GET /api/pricing).
+
+const MODALITIES = ["text", "audio"];
+
+export function emptyTokens() {
+  return { inputText: 0, inputAudio: 0, cachedText: 0, cachedAudio: 0, outputText: 0, outputAudio: 0 };
+}
+
+// Tokens of one `response.done` usage report; cached tokens are part of the
+// input counts
+export function usageTokens(usage) {
+  const input = usage?.input_token_details || {};
+  const cached = input.cached_tokens_details || {};
+  const output = usage?.output_token_details || {};
+  return {
+    inputText: input.text_tokens || 0,
+    inputAudio: input.audio_tokens || 0,
+    cachedText: cached.text_tokens || 0,
+    cachedAudio: cached.audio_tokens || 0,
+    outputText: output.text_tokens || 0,
+    outputAudio: output.audio_tokens || 0,
+  };
+}
+
+export function addTokens(a, b) {
+  return Object.fromEntries(Object.keys(emptyTokens()).map((key) => [key, (a[key] || 0) + (b[key] || 0)]));
+}
+
+export function totalTokens(tokens) {
+  return tokens.inputText + tokens.inputAudio + tokens.outputText + tokens.outputAudio;
+}
+
+// Prices of `model`; dated snapshots ("gpt-4o-realtime-preview-2024-12-17")
+// use the longest matching name. Null if the table has no price for it.
+export function priceFor(pricing, model) {
+  if (!pricing?.models || !model) return null;
+  const name = Object.keys(pricing.models)
+    .filter((candidate) => model === candidate || model.startsWith(`${candidate}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return name ? { ...pricing.models[name], per: pricing.per, currency: pricing.currency } : null;
+}
+
+// Cost of `tokens` at `price` (from priceFor), or null without a price. A
+// modality (or rate) the price table leaves out costs nothing; used tokens of
+// an unpriced modality are warned about.
+export function tokensCost(tokens, price) {
+  if (!price) return null;
+  const cost = MODALITIES.reduce((sum, modality) => {
+    const suffix = modality === "text" ? "Text" : "Audio";
+    const input = tokens[`input${suffix}`];
+    const cached = tokens[`cached${suffix}`];
+    const output = tokens[`output${suffix}`];
+    const rates = price[modality];
+    if (!rates) {
+      if (input || output) {
+        console.warn(`No ${modality} price; its tokens are not counted in the cost`);
+      }
+      return sum;
+    }
+    return (
+      sum +
+      (input - cached) * (rates.input || 0) +
+      cached * (rates.cachedInput || 0) +
+      output * (rates.output || 0)
+    );
+  }, 0);
+  return cost / price.per;
+}
+
+// Running meter of a session: { responses: [{ id, topic, tokens }], total }
+export function emptyMeter() {
+  return { responses: [], total: emptyTokens() };
+}
+
+// Adds a `response.done` event to the meter; other events leave it as is
+export function meterEvent(meter, event) {
+  if (event.type !== "response.done" || !event.response?.usage) return meter;
+  const tokens = usageTokens(event.response.usage);
+  return {
+    responses: [
+      ...meter.responses,
+      { id: event.response.id, topic: event.response.metadata?.topic || null, tokens },
+    ],
+    total: addTokens(meter.total, tokens),
+  };
+}
+
+// What a session stores as `usage`, from its recorded events (oldest first)
+// and the model it ran with
+export function sessionUsage(events, { model, pricing }) {
+  const meter = events.reduce(meterEvent, emptyMeter());
+  const price = priceFor(pricing, model);
+  return {
+    model: model || null,
+    responses: meter.responses.length,
+    tokens: meter.total,
+    cost: tokensCost(meter.total, price),
+    currency: price?.currency || null,
+    pricingVersion: price ? pricing.version : null,
+  };
+}
+
+// Cost for display, e.g. "$0.42" or "0.42 EUR"
+export function formatCost(cost, currency) {
+  if (cost === null || cost === undefined) return "no price";
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: "currency",
+      currency,
+      minimumFractionDigits: 2,
+      maximumFractionDigits: cost < 1 ? 4 : 2,
+    }).format(cost);
+  } catch {
+    return `${cost.toFixed(4)} ${currency}`;
+  }
+}
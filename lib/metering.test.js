@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { emptyTokens, tokensCost } from "./metering.js";
+
+const TOKENS = {
+  ...emptyTokens(),
+  inputText: 1000,
+  cachedText: 200,
+  outputText: 500,
+  inputAudio: 300,
+  outputAudio: 100,
+};
+
+test("prices text and audio tokens, cached input at its own rate", () => {
+  const price = {
+    per: 1000,
+    text: { input: 1, cachedInput: 0.5, output: 2 },
+    audio: { input: 10, cachedInput: 1, output: 20 },
+  };
+
+  assert.equal(tokensCost(TOKENS, price), (800 + 100 + 1000 + 3000 + 2000) / 1000);
+});
+
+test("counts a modality the price table leaves out as free", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const price = { per: 1000, text: { input: 1, output: 2 } };
+
+  assert.equal(tokensCost(TOKENS, price), (800 + 1000) / 1000);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.equal(tokensCost({ ...TOKENS, inputAudio: 0, outputAudio: 0 }, price), 1.8);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test("has no cost without a price", () => {
+  assert.equal(tokensCost(TOKENS, null), null);
+});
@@ -0,0 +1,162 @@
+// Minimal PDF writer for printable exports, so notes never leave the browser
+// for conversion. It understands the Markdown the clinician note uses:
+// headings, bullet points, paragraphs and **bold** markers (dropped). Text is
+// set in the standard Helvetica fonts with WinAnsi encoding; characters
+// outside it print as "?".
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+// Helvetica averages about half an em per character; wrapping is approximate
+const CHAR_WIDTH = 0.5;
+
+const STYLES = {
+  h1: { font: "F2", size: 16, before: 6, after: 6 },
+  h2: { font: "F2", size: 13, before: 10, after: 4 },
+  h3: { font: "F2", size: 11, before: 8, after: 2 },
+  body: { font: "F1", size: 10.5, before: 0, after: 2 },
+};
+
+// WinAnsi codes for the characters outside Latin-1 that notes tend to use
+const WIN_ANSI = {
+  "€": 0x80, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93,
+  "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97,
+};
+
+function encode(text) {
+  return Array.from(text, (char) => {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI[char]) return String.fromCharCode(WIN_ANSI[char]);
+    if ((code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff)) return char;
+    return "?";
+  }).join("");
+}
+
+function pdfString(text) {
+  return `(${encode(text).replace(/[\\()]/g, (c) => `\\${c}`)})`;
+}
+
+function inline(text) {
+  return text.replace(/\*\*|__|`/g, "");
+}
+
+function wrap(text, size, width) {
+  const perLine = Math.max(10, Math.floor(width / (size * CHAR_WIDTH)));
+  const lines = [];
+  let line = "";
+  text.split(/\s+/).filter(Boolean).forEach((word) => {
+    while (word.length > perLine) {
+      if (line) lines.push(line);
+      lines.push(word.slice(0, perLine));
+      word = word.slice(perLine);
+      line = "";
+    }
+    if (!line) line = word;
+    else if (line.length + 1 + word.length <= perLine) line += ` ${word}`;
+    else {
+      lines.push(line);
+      line = word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Markdown -> blocks of { style, text, bullet }
+function layoutBlocks(markdown) {
+  const blocks = [];
+  let paragraph = [];
+  const flush = () => {
+    if (paragraph.length) blocks.push({ style: "body", text: paragraph.join(" ") });
+    paragraph = [];
+  };
+  markdown.split(/\r?\n/).forEach((raw) => {
+    const line = raw.trim();
+    const heading = /^(#{1,3})\s+(.*)$/.exec(line);
+    const bullet = /^([-*+]|\d+[.)])\s+(.*)$/.exec(line);
+    if (!line) flush();
+    else if (heading) {
+      flush();
+      blocks.push({ style: `h${heading[1].length}`, text: heading[2] });
+    } else if (bullet) {
+      flush();
+      const marker = /\d/.test(bullet[1]) ? bullet[1] : "•";
+      blocks.push({ style: "body", text: bullet[2], bullet: marker });
+    } else {
+      paragraph.push(line);
+      // Two trailing spaces: a Markdown line break
+      if (/ {2}$/.test(raw)) flush();
+    }
+  });
+  flush();
+  return blocks;
+}
+
+// Returns the PDF file as a Uint8Array
+export function markdownToPdf(markdown, { title = "Document" } = {}) {
+  const width = PAGE_WIDTH - 2 * MARGIN;
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  // Moves to the next line (and page if needed) and sets `parts`, a list of
+  // [x, text], on it
+  const addLine = (style, parts) => {
+    const { font, size } = STYLES[style];
+    if (y - size * 1.3 < MARGIN) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= size * 1.3;
+    parts.forEach(([x, text]) =>
+      pages[pages.length - 1].push(
+        `BT /${font} ${size} Tf 1 0 0 1 ${x.toFixed(1)} ${y.toFixed(1)} Tm ${pdfString(text)} Tj ET`,
+      ),
+    );
+  };
+
+  layoutBlocks(markdown).forEach((block) => {
+    const style = STYLES[block.style];
+    y -= style.before;
+    const indent = block.bullet ? 14 : 0;
+    wrap(inline(block.text), style.size, width - indent).forEach((line, i) => {
+      const marker = block.bullet && i === 0 ? [[MARGIN, block.bullet]] : [];
+      addLine(block.style, [...marker, [MARGIN + indent, line]]);
+    });
+    y -= style.after;
+  });
+
+  // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its
+  // content stream per page
+  const objects = [];
+  const pageIds = pages.map((_, i) => 6 + i * 2);
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+  objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+  objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+  objects[5] = `<< /Title ${pdfString(title)} >>`;
+  pages.forEach((commands, i) => {
+    const footer = `BT /F1 8 Tf 1 0 0 1 ${MARGIN} ${MARGIN / 2} Tm ${pdfString(
+      `${title} - page ${i + 1} of ${pages.length}`,
+    )} Tj ET`;
+    const stream = [...commands, footer].join("\n");
+    objects[pageIds[i]] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+    objects[pageIds[i] + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+  });
+
+  // Every character is a single byte, so string offsets are byte offsets
+  let file = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = file.length;
+    file += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xref = file.length;
+  file += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    file += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  file += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Uint8Array.from(file, (char) => char.charCodeAt(0));
+}
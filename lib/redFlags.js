@@ -0,0 +1,153 @@
+// Emergency red flags raised during intake. Two detectors feed the same
+// categories: a local keyword/rule check on every patient turn, and the
+// `report_red_flag` tool the model calls when it recognises an emergency the
+// rules miss. A raised flag interrupts the receptionist with a scripted safety
+// message, alerts connected staff screens and is recorded on the session.
+
+export const RED_FLAG_CATEGORIES = [
+  {
+    id: "chest_pain",
+    label: "Chest pain",
+    patterns: [
+      /\bchest (pain|pains|pressure|tightness)\b/,
+      /\b(pain|pressure|tightness) in (my|the) chest\b/,
+      /\bheart attack\b/,
+      /\bdolor (en el|de) pecho\b/,
+    ],
+  },
+  {
+    id: "stroke",
+    label: "Stroke symptoms",
+    patterns: [
+      /\b(face|mouth) (is )?(drooping|droops|numb)\b/,
+      /\b(can'?t|cannot|unable to) (move|feel) (my )?(arm|leg|side)\b/,
+      /\bsudden(ly)? (numb|weak|confused|can'?t (speak|talk|see))\b/,
+      /\bslurr(ed|ing) (speech|words)\b/,
+      /\b(having|had) a stroke\b/,
+    ],
+  },
+  {
+    id: "severe_bleeding",
+    label: "Severe bleeding",
+    patterns: [
+      /\b(bleeding|bleed) (a lot|heavily|badly|won'?t stop|that won'?t stop|everywhere)\b/,
+      /\b(heavy|severe|uncontrolled) bleeding\b/,
+      /\b(can'?t|cannot) stop (the )?bleeding\b/,
+      /\b(vomiting|coughing( up)?) blood\b/,
+    ],
+  },
+  {
+    id: "suicidal",
+    label: "Suicidal thoughts",
+    // "I don't want to hurt myself" still needs a person to check in
+    negatable: false,
+    patterns: [
+      /\b(kill|hurt|harm) myself\b/,
+      /\btake my (own )?life\b/,
+      /\bsuicid(e|al)\b/,
+      /\b(want|wanted|going) to die\b/,
+      /\bend (it all|my life)\b/,
+      /\bno reason to live\b/,
+    ],
+  },
+  {
+    id: "breathing",
+    label: "Severe difficulty breathing",
+    patterns: [
+      /\b(can'?t|cannot|unable to) (breathe|catch my breath)\b/,
+      /\b(struggling|hard) to breathe\b/,
+      /\bthroat (is )?(closing|swelling)\b/,
+    ],
+  },
+];
+
+// Context right before a match (within its clause) that rules it out: a
+// negation ("I have no chest pain"), someone else ("my mother had a stroke")
+// unless the patient comes back in ("my wife says I'm having a stroke"), or a
+// cause of death ("my dad died of a heart attack")
+const NEGATIONS = /\b(no|not|never|don'?t|doesn'?t|didn'?t|haven'?t|hasn'?t|without|denies)\b(\W+\w+){0,3}\W*$/;
+const RELATIVES =
+  "mother|mom|mum|father|dad|parents?|brother|sister|son|daughter|wife|husband|partner|grandmother|grandfather|grandma|grandpa|grandparents?|aunt|uncle|cousin|friend";
+const OTHER_PERSON = new RegExp(
+  `\\b(?:my|his|her|their|our) (?:${RELATIVES})\\b((?:\\W+\\w+){0,4})\\W*$`,
+);
+const FIRST_PERSON = /\b(i|i'm|i've|me|myself)\b/;
+const CAUSE_OF_DEATH = /\b(died|dies|passed away|death)\b(\W+\w+){0,3}\W*$/;
+
+// A clause ends at a sentence break or "but": "No. But I can't breathe"
+const CLAUSE_BREAK = /[.;!?]|\b(but|however)\b/g;
+
+export const REPORT_RED_FLAG_TOOL = {
+  type: "function",
+  name: "report_red_flag",
+  description:
+    "Call this immediately, before saying anything else, if the patient describes a possible emergency: chest pain or pressure, stroke symptoms (face drooping, arm or leg weakness, slurred speech), severe bleeding, thoughts of suicide or self-harm, or severe difficulty breathing. Do not call it for symptoms the patient says they do not have.",
+  parameters: {
+    type: "object",
+    properties: {
+      category: {
+        type: "string",
+        enum: RED_FLAG_CATEGORIES.map(({ id }) => id),
+      },
+      reason: { type: "string", description: "What the patient said that suggests an emergency." },
+      quote: { type: "string", description: "The patient's words, verbatim if possible." },
+    },
+    required: ["category", "reason"],
+  },
+};
+
+// Spoken as soon as a flag is raised. The receptionist is told to say it in
+// the patient's language.
+export const SAFETY_MESSAGE =
+  "What you just told me could be serious, so I have alerted our staff and someone is coming to you right now. If you feel worse, please go to the front desk straight away or call your local emergency number. Please stay where you are; help is on the way.";
+
+export function safetyResponse() {
+  return {
+    instructions: `A possible medical emergency was reported. Stop the intake. Say the following to the patient, translated into the language they are speaking if it is not English, and say nothing else: "${SAFETY_MESSAGE}"`,
+    tool_choice: "none",
+  };
+}
+
+export function redFlagLabel(category) {
+  return RED_FLAG_CATEGORIES.find(({ id }) => id === category)?.label || category;
+}
+
+export function isRedFlagCategory(category) {
+  return RED_FLAG_CATEGORIES.some(({ id }) => id === category);
+}
+
+// The part of `text` before `index` that belongs to the same clause
+function clauseBefore(text, index) {
+  const before = text.slice(0, index);
+  let start = 0;
+  for (const match of before.matchAll(CLAUSE_BREAK)) start = match.index + match[0].length;
+  return before.slice(start);
+}
+
+function isRuledOut(context, negatable) {
+  if (negatable && NEGATIONS.test(context)) return true;
+  if (CAUSE_OF_DEATH.test(context)) return true;
+  const other = OTHER_PERSON.exec(context);
+  return Boolean(other) && !FIRST_PERSON.test(other[1]);
+}
+
+// Categories whose rules match `text`, skipping matches ruled out by what
+// comes right before them in the same clause (see NEGATIONS). Every match is
+// checked, so "I never had chest pain before, now I have chest pain" is
+// still found. Returns [{ category, match }].
+export function detectRedFlags(text) {
+  const lower = (text || "").toLowerCase().replace(/’/g, "'");
+  const found = [];
+  RED_FLAG_CATEGORIES.forEach(({ id, patterns, negatable = true }) => {
+    for (const pattern of patterns) {
+      const match = [...lower.matchAll(new RegExp(pattern.source, "g"))].find(
+        (candidate) => !isRuledOut(clauseBefore(lower, candidate.index), negatable),
+      );
+      if (match) {
+        found.push({ category: id, match: match[0] });
+        break;
+      }
+    }
+  });
+  return found;
+}
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectRedFlags } from "./redFlags.js";
+
+function categories(text) {
+  return detectRedFlags(text).map(({ category }) => category);
+}
+
+test("flags emergencies the patient describes", () => {
+  assert.deepEqual(categories("I have crushing chest pain"), ["chest_pain"]);
+  assert.deepEqual(categories("My face is drooping and I have slurred speech"), ["stroke"]);
+  assert.deepEqual(categories("I can’t breathe"), ["breathing"]);
+});
+
+test("skips negated mentions", () => {
+  assert.deepEqual(categories("I have no chest pain"), []);
+  assert.deepEqual(categories("I don't have any trouble, I can breathe fine"), []);
+});
+
+test("ends the negation at a sentence break or but", () => {
+  assert.deepEqual(categories("No. But I can't breathe well right now"), ["breathing"]);
+  assert.deepEqual(categories("Not really; I can't breathe"), ["breathing"]);
+  assert.deepEqual(categories("no fever but chest pain since this morning"), ["chest_pain"]);
+});
+
+test("checks every match, not just the first", () => {
+  assert.deepEqual(
+    categories("I never had chest pain before today, now I have chest pain"),
+    ["chest_pain"],
+  );
+});
+
+test("skips family history and causes of death", () => {
+  assert.deepEqual(categories("My mother had a stroke last year"), []);
+  assert.deepEqual(categories("my dad died of a heart attack"), []);
+  assert.deepEqual(categories("Her grandfather passed away from a heart attack"), []);
+});
+
+test("still flags the patient when someone else reports it", () => {
+  assert.deepEqual(categories("My wife says I'm having a stroke"), ["stroke"]);
+  assert.deepEqual(
+    categories("My mother had a stroke last year. Now I can't move my arm"),
+    ["stroke"],
+  );
+});
+
+test("keeps flagging self-harm even when negated", () => {
+  assert.deepEqual(categories("I don't want to hurt myself"), ["suicidal"]);
+});
@@ -0,0 +1,157 @@
+// PHI redaction for logs, exports and the clipboard. Detection is pattern
+// based, so it catches common identifiers (contact details, dates, record
+// numbers, addresses and self-introduced names) rather than every possible
+// mention. A redactor masks consistently: the same value always gets the same
+// placeholder, e.g. [PHONE_1], so redacted transcripts stay readable.
+
+const MONTHS =
+  "jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?";
+
+const STREET_SUFFIXES =
+  "street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|way|place|pl|terrace|circle|highway|hwy";
+
+// Two-letter US state codes; a ZIP code is only taken for one after a state
+// or a "zip code" label, so doses and other 5-digit numbers are left alone
+const STATES =
+  "AL|AK|AZ|AR|CA|CO|CT|DE|DC|FL|GA|HI|ID|IL|IN|IA|KS|KY|LA|ME|MD|MA|MI|MN|MS|MO|MT|NE|NV|NH|NJ|NM|NY|NC|ND|OH|OK|OR|PA|PR|RI|SC|SD|TN|TX|UT|VT|VA|WA|WV|WI|WY";
+
+// Phrases a self-introduced name follows, and titles before a name. They
+// match in any case ("This is", "I'm", "DR."); the name itself must be
+// capitalised.
+const INTRODUCTIONS = ["my name is", "my name's", "name is", "call me", "this is", "i'm", "i am"];
+const TITLES = ["mr", "mrs", "ms", "miss", "dr"];
+
+function anyCase(phrase) {
+  return phrase
+    .replace(/[a-z]/g, (letter) => `[${letter}${letter.toUpperCase()}]`)
+    .replace(/'/g, "['’]")
+    .replace(/ /g, "\\s+");
+}
+
+const NAME_TRIGGER = [
+  ...INTRODUCTIONS.map(anyCase),
+  ...TITLES.map((title) => `${anyCase(title)}\\.?`),
+].join("|");
+
+// `group` marks patterns where only a captured part is PHI (e.g. the name
+// after "my name is").
+const PATTERNS = [
+  { type: "EMAIL", regex: /\b[\w.%+-]+@[a-z0-9.-]+\.[a-z]{2,}\b/gi },
+  { type: "SSN", regex: /\b\d{3}[- ]\d{2}[- ]\d{4}\b/g },
+  {
+    type: "PHONE",
+    regex: /(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/g,
+  },
+  {
+    type: "DATE",
+    regex: new RegExp(
+      [
+        "\\b\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}\\b",
+        "\\b\\d{4}-\\d{2}-\\d{2}\\b",
+        `\\b(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}\\b`,
+        `\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?(?:${MONTHS})\\.?,?\\s+\\d{4}\\b`,
+      ].join("|"),
+      "gi",
+    ),
+  },
+  {
+    type: "ADDRESS",
+    regex: new RegExp(
+      `\\b\\d{1,6}\\s+(?:[a-z0-9]+\\s+){1,4}(?:${STREET_SUFFIXES})\\b\\.?(?:,?\\s+(?:apt|apartment|unit|suite|#)\\.?\\s*\\w+)?`,
+      "gi",
+    ),
+  },
+  {
+    type: "MRN",
+    regex: /\b(?:mrn|medical record(?: number)?|patient (?:id|number)|insurance (?:id|number)|member id)[\s:#]*(?:is\s+)?([a-z0-9-]*\d[a-z0-9-]{3,})/gi,
+    group: 1,
+  },
+  {
+    type: "NAME",
+    regex: new RegExp(
+      `\\b(?:${NAME_TRIGGER})\\s+((?:[A-Z][a-z'-]+)(?:\\s+[A-Z][a-z'-]+){0,2})`,
+      "g",
+    ),
+    group: 1,
+  },
+  {
+    type: "ZIP",
+    regex: /\b(?:zip(?:\s*code)?|postal code|postcode)[\s:#]*(?:is\s+)?(\d{5}(?:-\d{4})?)\b/gi,
+    group: 1,
+  },
+  {
+    type: "ZIP",
+    regex: new RegExp(`\\b(?:${STATES}),?\\s+(\\d{5}(?:-\\d{4})?)\\b`, "g"),
+    group: 1,
+  },
+];
+
+function normalize(value) {
+  return value.toLowerCase().replace(/[^a-z0-9@]/g, "");
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export function createRedactor() {
+  const tokens = new Map();
+  const counts = {};
+  // Names found through an introduction are masked wherever they recur
+  const names = new Map();
+
+  function tokenFor(type, value) {
+    const key = `${type}:${normalize(value)}`;
+    if (!tokens.has(key)) {
+      counts[type] = (counts[type] || 0) + 1;
+      tokens.set(key, `[${type}_${counts[type]}]`);
+      if (type === "NAME") {
+        names.set(value, new RegExp(`\\b${escapeRegExp(value)}\\b`, "gi"));
+      }
+    }
+    return tokens.get(key);
+  }
+
+  function redactText(text) {
+    if (typeof text !== "string" || text.length === 0) return text;
+    let result = PATTERNS.reduce(
+      (result, { type, regex, group }) =>
+        result.replace(regex, (match, ...groups) => {
+          if (!group) return tokenFor(type, match);
+          const value = groups[group - 1];
+          if (!value) return match;
+          const at = match.lastIndexOf(value);
+          return match.slice(0, at) + tokenFor(type, value) + match.slice(at + value.length);
+        }),
+      text,
+    );
+    names.forEach((regex, name) => {
+      result = result.replace(regex, tokenFor("NAME", name));
+    });
+    return result;
+  }
+
+  // Deep copy of `value` with every string redacted
+  function redactValue(value) {
+    if (typeof value === "string") return redactText(value);
+    if (Array.isArray(value)) return value.map(redactValue);
+    if (value instanceof Date) return value;
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, inner]) => [key, redactValue(inner)]),
+      );
+    }
+    return value;
+  }
+
+  return { redactText, redactValue };
+}
+
+// One-off redaction with placeholders scoped to this call
+export function redactText(text) {
+  return createRedactor().redactText(text);
+}
+
+export function redactValue(value) {
+  return createRedactor().redactValue(value);
+}
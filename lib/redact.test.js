@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { redactText } from "./redact.js";
+
+test("redacts names introduced in any case", () => {
+  assert.equal(redactText("This is Maria Lopez"), "This is [NAME_1]");
+  assert.equal(
+    redactText("I'm Maria Lopez, here for my appointment"),
+    "I'm [NAME_1], here for my appointment",
+  );
+  assert.equal(redactText("hi, i am Maria"), "hi, i am [NAME_1]");
+  assert.equal(redactText("My name is Maria Lopez."), "My name is [NAME_1].");
+  assert.equal(redactText("I saw DR. Chen and mr Patel"), "I saw DR. [NAME_1] and mr [NAME_2]");
+});
+
+test("leaves uncapitalised words after an introduction alone", () => {
+  assert.equal(redactText("I'm not sure, this is new"), "I'm not sure, this is new");
+});
+
+test("masks a recurring introduced name everywhere", () => {
+  assert.equal(redactText("I'm Maria. Maria is fine."), "I'm [NAME_1]. [NAME_1] is fine.");
+});
+
+test("only takes 5-digit numbers as ZIP codes in address context", () => {
+  assert.equal(redactText("The dose is 12345 units"), "The dose is 12345 units");
+  assert.equal(redactText("my zip code is 62704"), "my zip code is [ZIP_1]");
+  assert.equal(redactText("Springfield, IL 62704-1234"), "Springfield, IL [ZIP_1]");
+  assert.equal(
+    redactText("I live at 12 Oak Street, Springfield, IL 62704"),
+    "I live at [ADDRESS_1], Springfield, IL [ZIP_1]",
+  );
+});
@@ -0,0 +1,53 @@
+// Rebuilding a conversation on a fresh Realtime session after the connection
+// dropped. The finished transcript turns are re-created as conversation
+// items (keeping their item ids, so the transcript does not show them twice),
+// followed by a system note with the intake recorded so far and a response
+// request, so the receptionist picks up from the next open section.
+
+import { INTAKE_SECTIONS, describeIntakeEntry } from "./intake.js";
+
+function resumeNote(intake) {
+  const sections = INTAKE_SECTIONS.map(({ key, label }) => {
+    const entries = intake?.[key] || [];
+    const recorded = entries.length
+      ? entries.map((entry) => describeIntakeEntry(key, entry)).join("; ")
+      : "nothing recorded yet";
+    return `- ${label}: ${recorded}`;
+  });
+  return [
+    "The connection to the patient dropped and has just been restored; the conversation so far is above.",
+    "Intake recorded so far:",
+    ...sections,
+    "Do not record these answers again or repeat questions that were already answered.",
+    "Briefly tell the patient you are back, then continue with the next section that has nothing recorded.",
+  ].join("\n");
+}
+
+export function resumeConversationEvents(transcript, intake) {
+  const items = transcript
+    .filter((entry) => !entry.isPartial && entry.message)
+    .map((entry) => {
+      const isUser = entry.speaker === "user";
+      return {
+        type: "conversation.item.create",
+        item: {
+          ...(entry.itemId && { id: entry.itemId }),
+          type: "message",
+          role: isUser ? "user" : "assistant",
+          content: [{ type: isUser ? "input_text" : "output_text", text: entry.message }],
+        },
+      };
+    });
+  return [
+    ...items,
+    {
+      type: "conversation.item.create",
+      item: {
+        type: "message",
+        role: "system",
+        content: [{ type: "input_text", text: resumeNote(intake) }],
+      },
+    },
+    { type: "response.create" },
+  ];
+}
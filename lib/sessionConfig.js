@@ -0,0 +1,144 @@
+// One configuration model for a Realtime session: model, voice, transcription
+// model, turn-taking, output modalities and instructions. The server resolves
+// it when a session is created (protocol defaults, then the staff's choices,
+// checked against the limits an admin allows), stores it with the session and
+// applies the same Realtime session object to both /session and /token.
+
+import { TURN_MODES, normalizeTurnTaking, turnDetection } from "./turnTaking.js";
+
+export const DEFAULT_SESSION_LIMITS = {
+  models: ["gpt-realtime", "gpt-4o-realtime-preview"],
+  voices: ["marin", "cedar", "alloy", "ash", "ballad", "coral", "echo", "sage", "shimmer", "verse"],
+  transcriptionModels: ["whisper-1", "gpt-4o-transcribe", "gpt-4o-mini-transcribe"],
+  modalities: ["audio", "text"],
+  turnModes: TURN_MODES.map(({ id }) => id),
+  silenceDurationMs: { min: 300, max: 2000 },
+  allowCustomInstructions: false,
+  maxInstructionsLength: 8000,
+};
+
+const LIST_LIMITS = ["models", "voices", "transcriptionModels", "modalities", "turnModes"];
+
+function isStringList(value) {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((item) => typeof item === "string" && item.length > 0)
+  );
+}
+
+// Limits as an admin sent them, merged over the defaults. Returns
+// { limits, errors }; the limits are only usable when `errors` is empty.
+export function normalizeSessionLimits(input = {}) {
+  const limits = { ...DEFAULT_SESSION_LIMITS, ...input };
+  const errors = [];
+  LIST_LIMITS.forEach((key) => {
+    if (!isStringList(limits[key])) errors.push(`${key} must be a non-empty list of strings`);
+  });
+  if (
+    isStringList(limits.modalities) &&
+    limits.modalities.some((modality) => modality !== "audio" && modality !== "text")
+  ) {
+    errors.push("modalities may only contain audio and text");
+  }
+  if (
+    isStringList(limits.turnModes) &&
+    limits.turnModes.some((mode) => !TURN_MODES.some(({ id }) => id === mode))
+  ) {
+    errors.push(`turnModes may only contain ${TURN_MODES.map(({ id }) => id).join(", ")}`);
+  }
+  const { min, max } = limits.silenceDurationMs || {};
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 200 || max > 3000 || min > max) {
+    errors.push("silenceDurationMs needs integer min and max between 200 and 3000");
+  }
+  if (typeof limits.allowCustomInstructions !== "boolean") {
+    errors.push("allowCustomInstructions must be true or false");
+  }
+  if (!Number.isInteger(limits.maxInstructionsLength) || limits.maxInstructionsLength < 1) {
+    errors.push("maxInstructionsLength must be a positive integer");
+  }
+  return { limits, errors };
+}
+
+// The session's configuration: `defaults` (server-wide) and the protocol's
+// voice and instructions, with `requested` on top. Defaults are always
+// allowed; everything the staff changed must be within `limits`.
+// Returns { config, errors }.
+export function resolveSessionConfig({ defaults, protocol = null, requested = {}, limits }) {
+  const base = {
+    model: defaults.model,
+    voice: protocol?.voice || defaults.voice,
+    transcriptionModel: defaults.transcriptionModel,
+    modalities: defaults.modalities,
+    turnTaking: normalizeTurnTaking(defaults.turnTaking),
+    instructions: protocol?.instructions || defaults.instructions || "",
+  };
+  const wanted = requested || {};
+  const config = {
+    model: wanted.model || base.model,
+    voice: wanted.voice || base.voice,
+    transcriptionModel: wanted.transcriptionModel || base.transcriptionModel,
+    modalities: wanted.modalities || base.modalities,
+    turnTaking: wanted.turnTaking ? normalizeTurnTaking(wanted.turnTaking) : base.turnTaking,
+    instructions: wanted.instructions || base.instructions,
+  };
+
+  const errors = [];
+  const check = (field, allowed, label) => {
+    if (config[field] !== base[field] && !allowed.includes(config[field])) {
+      errors.push(`${label} ${config[field]} is not allowed`);
+    }
+  };
+  check("model", limits.models, "Model");
+  check("voice", limits.voices, "Voice");
+  check("transcriptionModel", limits.transcriptionModels, "Transcription model");
+  // The Realtime API answers with either audio (plus its transcript) or text
+  if (
+    !Array.isArray(config.modalities) ||
+    config.modalities.length !== 1 ||
+    (config.modalities.join() !== base.modalities.join() &&
+      !limits.modalities.includes(config.modalities[0]))
+  ) {
+    errors.push("Output modality must be one of the allowed modalities");
+  }
+  if (
+    config.turnTaking.mode !== base.turnTaking.mode &&
+    !limits.turnModes.includes(config.turnTaking.mode)
+  ) {
+    errors.push(`Turn-taking mode ${config.turnTaking.mode} is not allowed`);
+  }
+  const { min, max } = limits.silenceDurationMs;
+  if (
+    config.turnTaking.silenceDurationMs !== base.turnTaking.silenceDurationMs &&
+    (config.turnTaking.silenceDurationMs < min || config.turnTaking.silenceDurationMs > max)
+  ) {
+    errors.push(`Silence duration must be between ${min} and ${max} ms`);
+  }
+  if (config.instructions !== base.instructions) {
+    if (typeof config.instructions !== "string") {
+      errors.push("Instructions must be text");
+    } else if (!limits.allowCustomInstructions) {
+      errors.push("Custom instructions are not allowed");
+    } else if (config.instructions.length > limits.maxInstructionsLength) {
+      errors.push(`Instructions are limited to ${limits.maxInstructionsLength} characters`);
+    }
+  }
+  return { config, errors };
+}
+
+// The Realtime `session` object for a resolved configuration
+export function realtimeSession(config) {
+  return {
+    type: "realtime",
+    model: config.model,
+    output_modalities: config.modalities,
+    instructions: config.instructions,
+    audio: {
+      input: {
+        transcription: { model: config.transcriptionModel },
+        turn_detection: turnDetection(config.turnTaking),
+      },
+      output: { voice: config.voice },
+    },
+  };
+}
@@ -0,0 +1,195 @@
+// Streams a live session to the server's /api/sessions store. Events are
+// buffered and flushed on an interval; the latest transcript/intake snapshot
+// is saved alongside whenever it changed.
+
+const FLUSH_INTERVAL_MS = 1000;
+// Events per POST are capped so a queue that built up while the server was
+// unreachable goes out in several requests instead of one ever larger one
+const MAX_BATCH_BYTES = 512 * 1024;
+// Browsers refuse keepalive requests once their bodies add up to more than
+// 64KB; the flush when the page is hidden stays under it
+const KEEPALIVE_BYTES = 60 * 1024;
+
+const encoder = new TextEncoder();
+
+export function createSessionSync() {
+  let sessionId = null;
+  let creating = null;
+  let queue = [];
+  let snapshot = null;
+  let snapshotDirty = false;
+  let timer = null;
+  let flushing = null;
+
+  async function request(path, options = {}) {
+    const response = await fetch(path, {
+      ...options,
+      headers: { "Content-Type": "application/json", ...options.headers },
+    });
+    if (!response.ok) {
+      throw new Error(`${options.method || "GET"} ${path} failed: ${response.status}`);
+    }
+    return response.status === 204 ? null : response.json();
+  }
+
+  function byteLength(value) {
+    return encoder.encode(JSON.stringify(value)).length;
+  }
+
+  // Takes the oldest queued events, up to `maxBytes` of JSON. An event larger
+  // than that on its own goes out alone unless `strict`.
+  function takeBatch(maxBytes, strict) {
+    let size = 2;
+    let count = 0;
+    while (count < queue.length) {
+      const eventSize = byteLength(queue[count]) + 1;
+      if ((count > 0 || strict) && size + eventSize > maxBytes) break;
+      size += eventSize;
+      count += 1;
+    }
+    return queue.splice(0, count);
+  }
+
+  // Sends the queue in batches; with `keepaliveBytes`, one keepalive batch
+  // of at most that size
+  async function sendEvents(keepaliveBytes = 0) {
+    const keepalive = keepaliveBytes > 0;
+    while (queue.length > 0) {
+      const batch = keepalive ? takeBatch(keepaliveBytes, true) : takeBatch(MAX_BATCH_BYTES, false);
+      if (batch.length === 0) return;
+      try {
+        await request(`/api/sessions/${sessionId}/events`, {
+          method: "POST",
+          body: JSON.stringify(batch),
+          keepalive,
+        });
+      } catch (err) {
+        console.error("Failed to stream session events:", err);
+        queue = batch.concat(queue);
+        return;
+      }
+      if (keepalive) return;
+    }
+  }
+
+  async function sendSnapshot(keepalive = false) {
+    if (!snapshotDirty) return;
+    snapshotDirty = false;
+    try {
+      await request(`/api/sessions/${sessionId}`, {
+        method: "PATCH",
+        body: JSON.stringify(snapshot),
+        keepalive,
+      });
+    } catch (err) {
+      console.error("Failed to save session snapshot:", err);
+      snapshotDirty = true;
+    }
+  }
+
+  async function doFlush() {
+    if (!sessionId) return;
+    // Events go first: the server meters a session from its stored events
+    // when the snapshot ends it
+    await sendEvents();
+    await sendSnapshot();
+  }
+
+  // `keepalive` is for the page being hidden: the requests start right away
+  // and outlive the page. The snapshot goes first if it fits; events get what
+  // is left of the browser's budget and the rest stays queued.
+  function flush({ keepalive = false } = {}) {
+    if (keepalive) {
+      if (!sessionId) return Promise.resolve();
+      const snapshotBytes = snapshotDirty ? byteLength(snapshot) : 0;
+      if (snapshotBytes >= KEEPALIVE_BYTES) return sendEvents(KEEPALIVE_BYTES);
+      return Promise.all([sendSnapshot(true), sendEvents(KEEPALIVE_BYTES - snapshotBytes)]);
+    }
+    if (!flushing) {
+      flushing = doFlush().finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  }
+
+  // Create the server-side record. Events pushed before it exists are queued.
+  // `config` holds the requested session settings (see lib/sessionConfig.js),
+  // `consent` the patient's accepted consent ({ language, version, decision }).
+  // Resolves with the stored session, or null if it could not be created.
+  function start(metadata = {}, protocolId = null, config = null, consent = null) {
+    sessionId = null;
+    queue = [];
+    snapshot = null;
+    snapshotDirty = false;
+    creating = request("/api/sessions", {
+      method: "POST",
+      body: JSON.stringify({ metadata, protocolId, config, consent }),
+    })
+      .then((session) => {
+        sessionId = session.id;
+        return session;
+      })
+      .catch((err) => {
+        console.error("Failed to create session record:", err);
+        return null;
+      });
+    clearInterval(timer);
+    timer = setInterval(flush, FLUSH_INTERVAL_MS);
+    return creating;
+  }
+
+  function push(event) {
+    queue.push(event);
+  }
+
+  function update(patch) {
+    snapshot = { ...snapshot, ...patch };
+    snapshotDirty = true;
+  }
+
+  // Save the final snapshot and stop streaming
+  async function finish(patch = {}) {
+    clearInterval(timer);
+    timer = null;
+    await creating;
+    update({ status: "completed", endedAt: new Date().toISOString(), ...patch });
+    await flushing;
+    await flush();
+  }
+
+  // Upload the session's audio recording (see lib/audioRecording.js), one
+  // track per side. Not sent with keepalive: recordings are too large for it.
+  async function uploadAudio({ startedAt, mimeType, tracks }) {
+    await creating;
+    if (!sessionId) return;
+    const uploads = Object.entries(tracks)
+      .filter(([, blob]) => blob.size > 0)
+      .map(async ([side, blob]) => {
+        const response = await fetch(`/api/sessions/${sessionId}/audio/${side}`, {
+          method: "PUT",
+          headers: {
+            "Content-Type": mimeType.split(";")[0],
+            "X-Recording-Started-At": String(startedAt),
+          },
+          body: blob,
+        });
+        if (!response.ok) {
+          throw new Error(`PUT /api/sessions/${sessionId}/audio/${side} failed: ${response.status}`);
+        }
+      });
+    await Promise.all(uploads);
+  }
+
+  return {
+    start,
+    push,
+    update,
+    flush,
+    finish,
+    uploadAudio,
+    get sessionId() {
+      return sessionId;
+    },
+  };
+}
@@ -0,0 +1,145 @@
+// Registry for client-side function calling over the Realtime data channel.
+//
+// A tool is its Realtime function schema plus a `handler(args, call)` that
+// may return a value or a promise. The registry builds the `session.update`
+// that advertises the tools, runs handlers for function calls announced by
+// `response.function_call_arguments.done` or `response.done`, returns each
+// result (or error) as a `function_call_output` item and asks for a follow-up
+// response once every call of the originating response has settled.
+
+function formatOutput(value) {
+  if (value === undefined) return JSON.stringify({ ok: true });
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+// The channel can close while calls are running; a failed send is logged
+// rather than left to reject the call or handleEvent's promise unhandled
+function trySend(send, event) {
+  try {
+    send(event);
+  } catch (err) {
+    console.error(`Failed to send ${event.type}:`, err);
+  }
+}
+
+export function createToolRegistry() {
+  const tools = new Map();
+  // call_id -> promise of the call, so each call runs exactly once
+  const calls = new Map();
+  // response_id -> call_ids started for that response
+  const callsByResponse = new Map();
+  const answeredResponses = new Set();
+
+  function register(tool) {
+    if (!tool?.name || typeof tool.handler !== "function") {
+      throw new Error("A tool needs a name and a handler");
+    }
+    tools.set(tool.name, tool);
+    return () => tools.delete(tool.name);
+  }
+
+  // Advertised tools; `names` limits the list to a subset (e.g. a protocol's)
+  function list(names) {
+    return [...tools.values()]
+      .filter((tool) => !names || names.includes(tool.name))
+      .map(({ name, description, parameters }) => ({
+        type: "function",
+        name,
+        description,
+        parameters,
+      }));
+  }
+
+  function sessionUpdate(names) {
+    return {
+      type: "session.update",
+      session: {
+        type: "realtime",
+        tools: list(names),
+        tool_choice: "auto",
+      },
+    };
+  }
+
+  async function execute({ name, callId, responseId, rawArguments }, send) {
+    const tool = tools.get(name);
+    let output;
+    try {
+      if (!tool) {
+        throw new Error(`Unknown tool: ${name}`);
+      }
+      const args = rawArguments ? JSON.parse(rawArguments) : {};
+      output = formatOutput(await tool.handler(args, { name, callId, responseId }));
+    } catch (err) {
+      console.error(`Tool ${name} failed:`, err);
+      output = JSON.stringify({ error: err?.message || String(err) });
+    }
+
+    trySend(send, {
+      type: "conversation.item.create",
+      item: {
+        type: "function_call_output",
+        call_id: callId,
+        output,
+      },
+    });
+  }
+
+  function startCall(call, send) {
+    if (!call.callId || calls.has(call.callId)) return;
+    calls.set(call.callId, execute(call, send));
+    if (call.responseId) {
+      const ids = callsByResponse.get(call.responseId) || [];
+      ids.push(call.callId);
+      callsByResponse.set(call.responseId, ids);
+    }
+  }
+
+  // Feed every server event through here. `send` is the client event sender.
+  async function handleEvent(event, send) {
+    if (event.type === "response.function_call_arguments.done" && event.name) {
+      startCall(
+        {
+          name: event.name,
+          callId: event.call_id,
+          responseId: event.response_id,
+          rawArguments: event.arguments,
+        },
+        send,
+      );
+      return;
+    }
+
+    if (event.type !== "response.done" || !event.response) return;
+
+    const responseId = event.response.id;
+    (event.response.output || []).forEach((output) => {
+      if (output.type !== "function_call") return;
+      startCall(
+        {
+          name: output.name,
+          callId: output.call_id,
+          responseId,
+          rawArguments: output.arguments,
+        },
+        send,
+      );
+    });
+
+    const ids = callsByResponse.get(responseId);
+    if (!ids || answeredResponses.has(responseId)) return;
+    answeredResponses.add(responseId);
+    callsByResponse.delete(responseId);
+
+    await Promise.allSettled(ids.map((id) => calls.get(id)));
+    trySend(send, { type: "response.create" });
+  }
+
+  function reset() {
+    calls.clear();
+    callsByResponse.clear();
+    answeredResponses.clear();
+  }
+
+  return { register, list, sessionUpdate, handleEvent, reset };
+}
@@ -0,0 +1,40 @@
+// Helpers for transcript entries ({ speaker, message, timestamp }) shared by
+// the console and the server. Timestamps may be Date objects or ISO strings
+// once a transcript has been through JSON.
+
+// Turns in another language than the clinic's are followed by their
+// translation, e.g. "[10:02:11 AM] User (es): ...\n  -> en: ...".
+export function formatTranscriptText(entries) {
+  return entries
+    .map((entry) => {
+      const time = new Date(entry.timestamp).toLocaleTimeString();
+      const speaker = entry.speaker.charAt(0).toUpperCase() + entry.speaker.slice(1);
+      const language = entry.translation && entry.language ? ` (${entry.language})` : "";
+      const line = `[${time}] ${speaker}${language}: ${entry.message}`;
+      return entry.translation
+        ? `${line}\n  -> ${entry.translationLanguage}: ${entry.translation}`
+        : line;
+    })
+    .join("\n\n");
+}
+
+// The same transcript with every turn in the clinic language only
+export function translatedEntries(entries) {
+  return entries.map(({ translation, language, ...entry }) => ({
+    ...entry,
+    message: translation || entry.message,
+  }));
+}
+
+// Trigger a browser download of `content`.
+export function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
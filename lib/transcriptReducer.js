@@ -0,0 +1,224 @@
+// Pure reducer that turns the Realtime event stream into transcript entries.
+//
+// Every entry is keyed by the conversation item it belongs to: user turns by
+// `item_id`, assistant output by `item_id` + `content_index` (or
+// `response_id` + `content_index` when a runtime omits the item). Deltas and
+// final texts only ever touch their own entry, so overlapping user and
+// assistant speech stay in separate bubbles. Turns are ordered by when their
+// item entered the conversation (using `previous_item_id` when the server
+// sends it), not by when their first transcript text arrived. Out-of-band
+// responses (e.g. the clinician note) are not part of the conversation and
+// are left out.
+
+import { isOutOfBand } from "./turnTaking.js";
+
+export function emptyTranscript() {
+  return { entries: [], keys: {}, outOfBand: [] };
+}
+
+function timestampOf(event) {
+  return event.recordedAt ? new Date(event.recordedAt) : new Date();
+}
+
+function userKey(itemId) {
+  return `user:${itemId}`;
+}
+
+function assistantKey(event) {
+  const contentIndex = event.content_index ?? 0;
+  if (event.item_id) return `assistant:${event.item_id}:${contentIndex}`;
+  if (event.response_id) return `assistant:${event.response_id}:${contentIndex}`;
+  return null;
+}
+
+// Index right after the last entry of `previousItemId`, or -1 if that item
+// has no entry (e.g. a function call)
+function indexAfter(entries, previousItemId) {
+  if (previousItemId) {
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (entries[i].itemId === previousItemId) return i + 1;
+    }
+  }
+  return -1;
+}
+
+function reindex(entries) {
+  return Object.fromEntries(entries.map((entry, index) => [entry.key, index]));
+}
+
+// Create the entry for `key` if it does not exist yet, placed after
+// `previousItemId`; an entry created early (e.g. from a delta that arrived
+// before its item) is moved once its position becomes known.
+function ensureEntry(state, key, fields, event, previousItemId) {
+  const existing = state.keys[key];
+  if (existing !== undefined) {
+    if (!previousItemId || state.entries[existing].placed) return state;
+    const entries = state.entries.filter((_, index) => index !== existing);
+    const at = indexAfter(entries, previousItemId);
+    if (at === -1) return state;
+    entries.splice(at, 0, { ...state.entries[existing], placed: true });
+    return { ...state, entries, keys: reindex(entries) };
+  }
+  const entry = {
+    id: event.event_id || key,
+    key,
+    message: "",
+    timestamp: timestampOf(event),
+    isPartial: true,
+    placed: Boolean(previousItemId),
+    ...fields,
+  };
+  const entries = [...state.entries];
+  const at = indexAfter(entries, previousItemId);
+  entries.splice(at === -1 ? entries.length : at, 0, entry);
+  return { ...state, entries, keys: reindex(entries) };
+}
+
+function updateEntry(state, key, update) {
+  const index = state.keys[key];
+  if (index === undefined) return state;
+  const entries = [...state.entries];
+  entries[index] = { ...entries[index], ...update(entries[index]) };
+  return { ...state, entries };
+}
+
+function userFields(itemId) {
+  return { itemId, speaker: "user", type: "user" };
+}
+
+function assistantFields(event) {
+  return {
+    itemId: event.item_id || null,
+    responseId: event.response_id || null,
+    contentIndex: event.content_index ?? 0,
+    speaker: "assistant",
+    type: "assistant",
+  };
+}
+
+// Runtimes without item ids: fall back to the latest partial entry of the
+// speaker, the way older transcripts were built
+function fallbackKey(state, type) {
+  const entry = [...state.entries].reverse().find((e) => e.type === type && e.isPartial);
+  return entry?.key || `${type}:${state.entries.length}`;
+}
+
+function appendDelta(state, key, fields, event, delta) {
+  if (!delta) return state;
+  const next = ensureEntry(state, key, fields, event);
+  return updateEntry(next, key, (entry) =>
+    entry.isPartial ? { message: entry.message + delta } : {},
+  );
+}
+
+function finishEntry(state, key, fields, event, text) {
+  if (!text) return state;
+  const next = ensureEntry(state, key, fields, event);
+  return updateEntry(next, key, () => ({ message: text, isPartial: false }));
+}
+
+// Text of a user message item: typed text or an audio transcript
+function itemText(item) {
+  const content = item.content?.[0];
+  if (content?.type === "input_text") return content.text;
+  if (content?.type === "input_audio") return content.transcript;
+  return null;
+}
+
+export function transcriptReducer(state, event) {
+  if (event.type === "response.created" && isOutOfBand(event.response)) {
+    return { ...state, outOfBand: [...state.outOfBand, event.response.id] };
+  }
+  if (event.response_id && state.outOfBand.includes(event.response_id)) return state;
+  switch (event.type) {
+    // A user turn enters the conversation: typed (client) or spoken (server)
+    case "conversation.item.create":
+    case "conversation.item.added":
+    case "conversation.item.created": {
+      const item = event.item;
+      if (item?.type !== "message" || !item.id) return state;
+      if (item.role === "assistant") {
+        return ensureEntry(
+          state,
+          `assistant:${item.id}:0`,
+          assistantFields({ item_id: item.id, content_index: 0 }),
+          event,
+          event.previous_item_id,
+        );
+      }
+      if (item.role !== "user") return state;
+      const key = userKey(item.id);
+      const next = ensureEntry(state, key, userFields(item.id), event, event.previous_item_id);
+      const text = itemText(item);
+      return text ? updateEntry(next, key, () => ({ message: text, isPartial: false })) : next;
+    }
+
+    case "input_audio_buffer.committed":
+      if (!event.item_id) return state;
+      return ensureEntry(
+        state,
+        userKey(event.item_id),
+        userFields(event.item_id),
+        event,
+        event.previous_item_id,
+      );
+
+    // ===== User audio transcription =====
+    case "conversation.item.input_audio_transcription.delta":
+    case "input_audio_buffer.transcription.delta": {
+      const key = event.item_id ? userKey(event.item_id) : fallbackKey(state, "user");
+      return appendDelta(state, key, userFields(event.item_id || null), event, event.delta || event.text);
+    }
+
+    case "conversation.item.input_audio_transcription.completed":
+    case "input_audio_buffer.transcription.completed": {
+      const key = event.item_id ? userKey(event.item_id) : fallbackKey(state, "user");
+      return finishEntry(state, key, userFields(event.item_id || null), event, event.transcript);
+    }
+
+    // ===== Assistant output =====
+    case "response.output_item.added":
+      if (event.item?.type !== "message" || event.item.role !== "assistant") return state;
+      return ensureEntry(
+        state,
+        `assistant:${event.item.id}:0`,
+        assistantFields({ item_id: event.item.id, response_id: event.response_id, content_index: 0 }),
+        event,
+      );
+
+    case "response.audio_transcript.delta":
+    case "response.output_audio_transcript.delta":
+    case "response.text.delta":
+    case "response.output_text.delta": {
+      const key = assistantKey(event) || fallbackKey(state, "assistant");
+      return appendDelta(state, key, assistantFields(event), event, event.delta || event.text);
+    }
+
+    case "response.audio_transcript.done":
+    case "response.output_audio_transcript.done":
+    case "response.text.done":
+    case "response.output_text.done": {
+      const key = assistantKey(event) || fallbackKey(state, "assistant");
+      const text = event.transcript || event.text || event.output_text;
+      return finishEntry(state, key, assistantFields(event), event, text);
+    }
+
+    default:
+      return state;
+  }
+}
+
+// Folds a batch of new events into `state`. The batch is newest first, the
+// way the event log holds events, so it is applied in reverse.
+export function foldEvents(state, newestFirst) {
+  return newestFirst.reduceRight(transcriptReducer, state);
+}
+
+// Entries to show and store: placeholders for turns without any text yet
+// (e.g. speech still being transcribed, function-call-only responses) are left
+// out, as are the reducer's bookkeeping fields.
+export function transcriptEntries(state) {
+  return state.entries
+    .filter((entry) => entry.message)
+    .map(({ key, placed, ...entry }) => entry);
+}
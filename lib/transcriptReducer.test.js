@@ -0,0 +1,165 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  emptyTranscript,
+  foldEvents,
+  transcriptEntries,
+  transcriptReducer,
+} from "./transcriptReducer.js";
+
+// Events get increasing recordedAt times so entries compare equal however
+// they were folded
+function stamp(events) {
+  const start = Date.parse("2026-01-01T09:00:00.000Z");
+  return events.map((event, index) => ({
+    event_id: `event_${index}`,
+    recordedAt: new Date(start + index * 10).toISOString(),
+    ...event,
+  }));
+}
+
+function reduceAll(events) {
+  return transcriptEntries(events.reduce(transcriptReducer, emptyTranscript()));
+}
+
+function summary(entries) {
+  return entries.map(({ speaker, message, isPartial }) => ({ speaker, message, isPartial }));
+}
+
+function userDelta(itemId, delta) {
+  return { type: "conversation.item.input_audio_transcription.delta", item_id: itemId, delta };
+}
+
+function userMessage(id, text) {
+  return { id, type: "message", role: "user", content: [{ type: "input_text", text }] };
+}
+
+function assistantDelta(itemId, delta) {
+  return {
+    type: "response.output_audio_transcript.delta",
+    response_id: "resp_1",
+    item_id: itemId,
+    content_index: 0,
+    delta,
+  };
+}
+
+test("keeps overlapping user and assistant deltas in their own entries", () => {
+  const events = stamp([
+    { type: "input_audio_buffer.committed", item_id: "user_1", previous_item_id: null },
+    {
+      type: "response.output_item.added",
+      response_id: "resp_1",
+      item: { id: "asst_1", type: "message", role: "assistant" },
+    },
+    userDelta("user_1", "I have "),
+    assistantDelta("asst_1", "Thank "),
+    userDelta("user_1", "a headache."),
+    assistantDelta("asst_1", "you."),
+  ]);
+
+  assert.deepEqual(summary(reduceAll(events)), [
+    { speaker: "user", message: "I have a headache.", isPartial: true },
+    { speaker: "assistant", message: "Thank you.", isPartial: true },
+  ]);
+});
+
+test("keeps the final text when done arrives before its deltas", () => {
+  const events = stamp([
+    { type: "input_audio_buffer.committed", item_id: "user_1", previous_item_id: null },
+    {
+      type: "conversation.item.input_audio_transcription.completed",
+      item_id: "user_1",
+      transcript: "My knee hurts.",
+    },
+    userDelta("user_1", "My "),
+    {
+      type: "response.output_audio_transcript.done",
+      response_id: "resp_1",
+      item_id: "asst_1",
+      content_index: 0,
+      transcript: "Which knee?",
+    },
+    assistantDelta("asst_1", "Which "),
+    assistantDelta("asst_1", "knee?"),
+  ]);
+
+  assert.deepEqual(summary(reduceAll(events)), [
+    { speaker: "user", message: "My knee hurts.", isPartial: false },
+    { speaker: "assistant", message: "Which knee?", isPartial: false },
+  ]);
+});
+
+test("folds several events batched in one render like one at a time", () => {
+  const events = stamp([
+    { type: "input_audio_buffer.committed", item_id: "user_1", previous_item_id: null },
+    userDelta("user_1", "I take "),
+    assistantDelta("asst_1", "Which "),
+    userDelta("user_1", "aspirin."),
+    assistantDelta("asst_1", "dose?"),
+    {
+      type: "conversation.item.input_audio_transcription.completed",
+      item_id: "user_1",
+      transcript: "I take aspirin.",
+    },
+  ]);
+  const oneAtATime = reduceAll(events);
+
+  // The event log is newest first; one render may bring any number of events
+  const newestFirst = [...events].reverse();
+  let state = emptyTranscript();
+  state = foldEvents(state, newestFirst.slice(4));
+  state = foldEvents(state, newestFirst.slice(0, 4));
+
+  assert.deepEqual(transcriptEntries(state), oneAtATime);
+  assert.deepEqual(transcriptEntries(foldEvents(emptyTranscript(), newestFirst)), oneAtATime);
+  assert.deepEqual(summary(oneAtATime), [
+    { speaker: "user", message: "I take aspirin.", isPartial: false },
+    { speaker: "assistant", message: "Which dose?", isPartial: true },
+  ]);
+});
+
+test("places turns by previous_item_id rather than by first text", () => {
+  const events = stamp([
+    {
+      type: "conversation.item.added",
+      previous_item_id: null,
+      item: userMessage("user_1", "Hello"),
+    },
+    // The reply's transcript starts before the server announces its item
+    assistantDelta("asst_2", "Since when?"),
+    {
+      type: "conversation.item.added",
+      previous_item_id: "user_1",
+      item: { id: "asst_1", type: "message", role: "assistant", content: [] },
+    },
+    assistantDelta("asst_1", "Hi, how can I help?"),
+    {
+      type: "conversation.item.added",
+      previous_item_id: "asst_1",
+      item: userMessage("user_2", "I feel dizzy."),
+    },
+    {
+      type: "conversation.item.added",
+      previous_item_id: "user_2",
+      item: { id: "asst_2", type: "message", role: "assistant", content: [] },
+    },
+  ]);
+
+  assert.deepEqual(
+    reduceAll(events).map((entry) => entry.message),
+    ["Hello", "Hi, how can I help?", "I feel dizzy.", "Since when?"],
+  );
+});
+
+test("leaves out-of-band responses out of the transcript", () => {
+  const events = stamp([
+    {
+      type: "response.created",
+      response: { id: "resp_note", metadata: { topic: "clinician_note" } },
+    },
+    { ...assistantDelta("note_1", "Chief complaint: headache"), response_id: "resp_note" },
+  ]);
+
+  assert.deepEqual(reduceAll(events), []);
+});
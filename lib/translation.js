@@ -0,0 +1,78 @@
+// Client side of the bilingual transcript: batched, cached calls to
+// /api/translate plus helpers to work out which languages a transcript uses.
+// Transcript entries carry `language` (detected, ISO 639-1) and, when that is
+// not the clinic language, `translation` and `translationLanguage`.
+
+const cache = new Map();
+// The server takes at most this many texts per request (MAX_TEXTS in
+// server/translate.js); longer lists are split
+const TEXTS_PER_REQUEST = 50;
+
+function cacheKey(text, target) {
+  return `${target || ""}\u0000${text}`;
+}
+
+function requestTranslations(texts, target) {
+  return fetch("/api/translate", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ texts, target }),
+  }).then(async (response) => {
+    if (!response.ok) throw new Error(`Translation failed: ${response.status}`);
+    const { target: resolvedTarget, results } = await response.json();
+    return results.map((result) => ({ ...result, target: resolvedTarget }));
+  });
+}
+
+// Resolves to [{ language, translation }] in the order of `texts`; without a
+// `target` the server translates into the clinic language. Results are cached
+// per text, so repeated renders only ask for new texts.
+export async function translateTexts(texts, target) {
+  const missing = [...new Set(texts)].filter((text) => !cache.has(cacheKey(text, target)));
+  for (let start = 0; start < missing.length; start += TEXTS_PER_REQUEST) {
+    const chunk = missing.slice(start, start + TEXTS_PER_REQUEST);
+    const request = requestTranslations(chunk, target);
+    chunk.forEach((text, index) => {
+      const key = cacheKey(text, target);
+      const pending = request.then((results) => results[index]);
+      // A failed request is forgotten so the next render retries
+      pending.catch(() => cache.delete(key));
+      cache.set(key, pending);
+    });
+  }
+  return Promise.all(texts.map((text) => cache.get(cacheKey(text, target))));
+}
+
+// Forget every cached text, e.g. before a shared kiosk serves the next patient
+export function clearTranslationCache() {
+  cache.clear();
+}
+
+export function languageName(code) {
+  if (!code) return "unknown";
+  try {
+    return new Intl.DisplayNames(["en"], { type: "language" }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+// The patient's language is the one most of their turns were in; the clinic
+// language is the one translations were made into.
+export function transcriptLanguages(entries = []) {
+  const counts = {};
+  let clinic = null;
+  entries.forEach((entry) => {
+    if (entry.type === "user" && entry.language) {
+      counts[entry.language] = (counts[entry.language] || 0) + 1;
+    }
+    clinic = clinic || entry.translationLanguage || null;
+  });
+  const patient = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+  return { patient, clinic };
+}
+
+// True when clinicians need the translated side of the transcript
+export function isBilingual(entries = []) {
+  return entries.some((entry) => entry.translation);
+}
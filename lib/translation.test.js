@@ -0,0 +1,34 @@
+import { afterEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { clearTranslationCache, translateTexts } from "./translation.js";
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  clearTranslationCache();
+});
+
+test("asks for at most 50 texts per request and keeps the order", async () => {
+  const requests = [];
+  globalThis.fetch = async (path, options) => {
+    const { texts } = JSON.parse(options.body);
+    requests.push(texts.length);
+    return new Response(
+      JSON.stringify({
+        target: "en",
+        results: texts.map((text) => ({ language: "es", translation: `en:${text}` })),
+      }),
+    );
+  };
+  const texts = Array.from({ length: 120 }, (_, i) => `turno ${i}`);
+
+  const results = await translateTexts(texts);
+
+  assert.deepEqual(requests, [50, 50, 20]);
+  assert.equal(results.length, 120);
+  assert.deepEqual(results[119], { language: "es", translation: "en:turno 119", target: "en" });
+
+  await translateTexts(texts.slice(0, 60));
+  assert.equal(requests.length, 3, "cached texts are not asked for again");
+});
@@ -0,0 +1,186 @@
+// How a session decides that the patient has finished speaking and the
+// receptionist should answer. Chosen per session:
+//
+//   server_vad    the server detects the end of speech (after `silenceDurationMs`
+//                 of audio below `threshold`) and starts the reply itself
+//   push_to_talk  no turn detection; the audio buffer is committed when the
+//                 talk button is released and the client asks for the reply
+//   manual        the server still detects and transcribes turns, but staff
+//                 trigger every reply
+//
+// The turn controller is the only place that sends `response.create`, and it
+// never asks for a response while one is already starting or running.
+// Out-of-band responses are the exception: they run beside the conversation.
+
+export const TURN_MODES = [
+  { id: "server_vad", label: "voice activity" },
+  { id: "push_to_talk", label: "push to talk" },
+  { id: "manual", label: "manual replies" },
+];
+
+export const DEFAULT_TURN_TAKING = {
+  mode: "server_vad",
+  // Patients who speak slowly need longer pauses than the API default (500ms)
+  silenceDurationMs: 800,
+  threshold: 0.5,
+  prefixPaddingMs: 300,
+};
+
+// Out-of-band responses (`conversation: "none"`, e.g. the clinician note) are
+// tagged with `metadata.topic` so their events can be told apart
+export function isOutOfBand(response) {
+  return Boolean(response?.metadata?.topic);
+}
+
+function clamp(value, min, max, fallback) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+}
+
+export function normalizeTurnTaking(input = {}) {
+  const mode = TURN_MODES.some(({ id }) => id === input?.mode)
+    ? input.mode
+    : DEFAULT_TURN_TAKING.mode;
+  return {
+    mode,
+    silenceDurationMs: Math.round(
+      clamp(input?.silenceDurationMs, 200, 3000, DEFAULT_TURN_TAKING.silenceDurationMs),
+    ),
+    threshold: clamp(input?.threshold, 0, 1, DEFAULT_TURN_TAKING.threshold),
+    prefixPaddingMs: Math.round(
+      clamp(input?.prefixPaddingMs, 0, 1000, DEFAULT_TURN_TAKING.prefixPaddingMs),
+    ),
+  };
+}
+
+// `turn_detection` for the Realtime session (null switches it off)
+export function turnDetection(turnTaking) {
+  const { mode, silenceDurationMs, threshold, prefixPaddingMs } = normalizeTurnTaking(turnTaking);
+  if (mode === "push_to_talk") return null;
+  return {
+    type: "server_vad",
+    threshold,
+    silence_duration_ms: silenceDurationMs,
+    prefix_padding_ms: prefixPaddingMs,
+    create_response: mode === "server_vad",
+    interrupt_response: mode === "server_vad",
+  };
+}
+
+// Client side of turn-taking. `send` is the client event sender; feed every
+// server event into `handleEvent`.
+export function createTurnController({ send }) {
+  let settings = normalizeTurnTaking(DEFAULT_TURN_TAKING);
+  // response.create sent but response.created not seen yet
+  let pending = false;
+  // id of the response in progress
+  let active = null;
+  // a reply was asked for while another response was running: false, or the
+  // `response` parameters to send once it is done
+  let deferred = false;
+  let talking = false;
+
+  function configure(turnTaking) {
+    settings = normalizeTurnTaking(turnTaking);
+  }
+
+  // Ask for the receptionist's reply (e.g. after tool outputs or from the
+  // staff "reply now" button). Requests while a response is starting are
+  // covered by it; requests while one is running wait until it is done.
+  // `response` (e.g. scripted instructions) is only dropped in favour of a
+  // request that has its own.
+  function requestResponse(response = null) {
+    if (response?.conversation === "none") {
+      send({ type: "response.create", response });
+      return;
+    }
+    if (pending && !response) return;
+    if (active || pending) {
+      if (response || !deferred) deferred = response || true;
+      return;
+    }
+    pending = true;
+    send(response ? { type: "response.create", response } : { type: "response.create" });
+  }
+
+  // A typed patient message: answered like a spoken turn, unless staff
+  // trigger every reply (as `create_response: false` does for speech)
+  function messageSent() {
+    if (settings.mode === "manual") return;
+    requestResponse();
+  }
+
+  // Stop the receptionist mid-reply, e.g. to say something more urgent
+  function interrupt() {
+    if (!active) return;
+    send({ type: "response.cancel" });
+    send({ type: "output_audio_buffer.clear" });
+  }
+
+  function handleEvent(event) {
+    if (isOutOfBand(event.response)) return;
+    switch (event.type) {
+      case "response.created":
+        pending = false;
+        active = event.response?.id || true;
+        // Scripted replies are urgent: don't let one wait for a whole answer
+        if (deferred && deferred !== true) interrupt();
+        break;
+      case "response.done":
+        if (active === true || active === event.response?.id) active = null;
+        if (deferred && !active && !pending) {
+          const response = deferred === true ? null : deferred;
+          deferred = false;
+          requestResponse(response);
+        }
+        break;
+      case "error":
+        // The request was rejected, so nothing is starting
+        if (pending) pending = false;
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Push-to-talk: start a fresh turn, interrupting the receptionist
+  function startTalking() {
+    if (settings.mode !== "push_to_talk" || talking) return;
+    talking = true;
+    if (active) {
+      if (deferred === true) deferred = false;
+      interrupt();
+    }
+    send({ type: "input_audio_buffer.clear" });
+  }
+
+  // Push-to-talk: the patient let go, so their turn is complete
+  function stopTalking() {
+    if (settings.mode !== "push_to_talk" || !talking) return;
+    talking = false;
+    send({ type: "input_audio_buffer.commit" });
+    requestResponse();
+  }
+
+  function reset() {
+    pending = false;
+    active = null;
+    deferred = false;
+    talking = false;
+  }
+
+  return {
+    configure,
+    requestResponse,
+    messageSent,
+    interrupt,
+    handleEvent,
+    startTalking,
+    stopTalking,
+    reset,
+    get settings() {
+      return settings;
+    },
+  };
+}
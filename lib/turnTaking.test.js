@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createTurnController } from "./turnTaking.js";
+
+function controller(mode) {
+  const sent = [];
+  const turns = createTurnController({ send: (event) => sent.push(event) });
+  turns.configure({ mode });
+  return { turns, sent };
+}
+
+test("answers a typed message unless staff trigger every reply", () => {
+  for (const mode of ["server_vad", "push_to_talk"]) {
+    const { turns, sent } = controller(mode);
+    turns.messageSent();
+    assert.deepEqual(sent, [{ type: "response.create" }], mode);
+  }
+
+  const { turns, sent } = controller("manual");
+  turns.messageSent();
+  assert.deepEqual(sent, []);
+  turns.requestResponse();
+  assert.deepEqual(sent, [{ type: "response.create" }]);
+});
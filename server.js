@@ -1,15 +1,81 @@
 import express from "express";
 import fs from "fs";
+import { randomUUID } from "crypto";
 import { createServer as createViteServer } from "vite";
 import react from "@vitejs/plugin-react";
 import { resolve } from "path";
 import "dotenv/config";
+import { buildIntakeBundle } from "./lib/fhir.js";
+import { getProtocol, listProtocols, protocolRef } from "./server/protocols.js";
+import { logError, logInfo } from "./server/log.js";
+import { createRedactor } from "./lib/redact.js";
+import { toJsonl } from "./lib/eventRecording.js";
+import { DEFAULT_TURN_TAKING } from "./lib/turnTaking.js";
+import { realtimeSession, resolveSessionConfig } from "./lib/sessionConfig.js";
+import { getSessionLimits, saveSessionLimits } from "./server/sessionLimits.js";
+import { isRedFlagCategory } from "./lib/redFlags.js";
+import { publishAlert, subscribeAlerts } from "./server/alerts.js";
+import { MAX_NOTE_LENGTH, noteFormat } from "./lib/clinicianNote.js";
+import { AUDIO_SIDES } from "./lib/audioRecording.js";
+import { sessionUsage } from "./lib/metering.js";
+import { getDrugDictionary } from "./server/drugs.js";
+import { listConsents, resolveConsent } from "./server/consent.js";
+import { getPricing, usageReport } from "./server/usage.js";
+import { createMockRealtimeRouter } from "./server/mockRealtime.js";
+import { TranslationError, createTranslator } from "./server/translate.js";
+import { audit, auditActor, queryAudit, verifyAudit } from "./server/audit.js";
+import {
+  AuthError,
+  STAFF_ROLES,
+  authenticate,
+  bootstrapAdmin,
+  clearAuthCookie,
+  createKiosk,
+  createUser,
+  enrollKiosk,
+  listKiosks,
+  listUsers,
+  login,
+  requireRole,
+  revokeKiosk,
+} from "./server/auth.js";
+import {
+  addRedFlag,
+  appendEvents,
+  audioFile,
+  createSession,
+  getSession,
+  listSessions,
+  markReviewed,
+  readEvents,
+  saveAudio,
+  saveNote,
+  saveUsage,
+  updateSession,
+  SessionUpdateError,
+} from "./server/sessionStore.js";
 
 const app = express();
-// Parse raw text bodies including application/sdp so we receive the SDP offer correctly
-app.use(express.text({ type: '*/*' }));
+// JSON bodies for the /api routes; everything else is read as text below
+app.use(express.json({ limit: "10mb" }));
+// Parse raw text bodies including application/sdp so we receive the SDP offer
+// correctly. Audio uploads are read as binary by their own route.
+app.use(express.text({ type: (req) => !req.is("audio/*") }));
+app.use(authenticate);
 const port = process.env.PORT || 3000;
-const apiKey = process.env.OPENAI_API_KEY;
+
+// REALTIME_MOCK=1 serves a scripted stand-in for the Realtime API from this
+// server, so the console runs without network access or an API key
+const REALTIME_MOCK = process.env.REALTIME_MOCK === "1";
+const OPENAI_BASE_URL = (
+  process.env.OPENAI_BASE_URL ||
+  (REALTIME_MOCK ? `http://localhost:${port}/mock-openai` : "https://api.openai.com")
+).replace(/\/+$/, "");
+const apiKey = process.env.OPENAI_API_KEY || (REALTIME_MOCK ? "mock" : undefined);
+if (REALTIME_MOCK) {
+  app.use("/mock-openai", await createMockRealtimeRouter());
+  logInfo(`Realtime API mock enabled at ${OPENAI_BASE_URL}`);
+}
 
 // Configure Vite middleware for React client (inline config to avoid reading vite.config.js)
 const vite = await createViteServer({
@@ -22,72 +88,137 @@ const vite = await createViteServer({
 app.use(vite.middlewares);
 
 const REALTIME_MODEL = process.env.REALTIME_MODEL || "gpt-4o-realtime-preview";
+const DEFAULT_PROTOCOL = process.env.DEFAULT_PROTOCOL || "general-adult";
 
-const sessionConfig = JSON.stringify({
-  session: {
-    type: "realtime",
-    model: REALTIME_MODEL,
-    audio: {
-      output: {
-        voice: "marin",
-      },
-    },
-    input_audio_transcription: {
-      model: "whisper-1",
-    },
-  },
+// Transcripts are translated into the language clinicians read
+const CLINIC_LANGUAGE = process.env.CLINIC_LANGUAGE || "en";
+const translator = createTranslator({
+  baseUrl: OPENAI_BASE_URL,
+  apiKey,
+  model: process.env.TRANSLATION_MODEL || "gpt-4o-mini",
 });
 
-// All-in-one SDP request (experimental)
-app.post("/session", async (req, res) => {
+// First admin account from ADMIN_USERNAME / ADMIN_PASSWORD
+await bootstrapAdmin();
+
+// Who may do what. Kiosks may only run patient sessions.
+const SESSION_RUNNERS = [...STAFF_ROLES, "kiosk"];
+const SESSION_READERS = ["admin", "clinician"];
+const SESSION_LISTERS = ["admin", "clinician", "front_desk"];
+
+// Kiosks may only write to the sessions they started themselves
+function canWriteSession(req, session) {
+  return (
+    req.principal.kind !== "kiosk" ||
+    (session.createdBy?.kind === "kiosk" && session.createdBy.id === req.principal.id)
+  );
+}
+
+// Client-side actions the console reports for the audit trail
+const REPORTED_ACTIONS = [
+  "transcript.copy",
+  "transcript.download",
+  "fhir.download",
+  "events.download",
+  "note.download",
+];
+
+// Server-wide session configuration defaults; the protocol supplies the voice
+// and instructions, staff may change the rest within the admin's limits
+const SESSION_DEFAULTS = {
+  model: REALTIME_MODEL,
+  voice: "marin",
+  transcriptionModel: process.env.TRANSCRIPTION_MODEL || "whisper-1",
+  modalities: ["audio"],
+  turnTaking: DEFAULT_TURN_TAKING,
+};
+
+// Configuration of the session a Realtime connection is for. Every connection
+// needs a stored session, so it is tied to the patient's consent and the audit
+// trail. Returns { config } or { status, error } if no session is named, it
+// does not exist, the caller may not run it or the patient has not agreed to
+// the conversation.
+async function sessionConfigFor(req, sessionId) {
+  if (!sessionId) {
+    return { status: 400, error: "A session id is required" };
+  }
+  const session = await getSession(sessionId);
+  if (!session || !canWriteSession(req, session)) {
+    return { status: 404, error: "Session not found" };
+  }
+  if (session.consent?.decision !== "accepted") {
+    return { status: 403, error: "The patient has not consented to this session" };
+  }
+  if (session.config) return { config: session.config };
+  // Sessions stored before they carried a configuration
+  const protocol =
+    session.protocol && (await getProtocol(session.protocol.id, session.protocol.version));
+  const limits = await getSessionLimits();
+  return resolveSessionConfig({ defaults: SESSION_DEFAULTS, protocol, limits });
+}
+
+// All-in-one SDP request: the offer and the session configuration go up
+// together, so the session starts fully configured
+app.post("/session", requireRole(...SESSION_RUNNERS), async (req, res) => {
   try {
     if (!apiKey) {
       return res.status(500).send("Missing OPENAI_API_KEY");
     }
-    const r = await fetch(`https://api.openai.com/v1/realtime/calls?model=${REALTIME_MODEL}`, {
+    const { config, status, error } = await sessionConfigFor(req, req.get("x-session-id"));
+    if (!config) return res.status(status).send(error);
+    const form = new FormData();
+    form.set("sdp", req.body);
+    form.set("session", JSON.stringify(realtimeSession(config)));
+    const r = await fetch(`${OPENAI_BASE_URL}/v1/realtime/calls`, {
       method: "POST",
       headers: {
-        "OpenAI-Beta": "realtime=v1",
         Authorization: `Bearer ${apiKey}`,
-        "Content-Type": "application/sdp",
       },
-      body: req.body,
+      body: form,
     });
     const sdp = await r.text();
     if (!r.ok) {
-      console.error("SDP exchange failed:", r.status, sdp);
+      logError("SDP exchange failed:", r.status, sdp);
       return res.status(r.status).send(sdp);
     }
+    await audit({
+      action: "realtime.connect",
+      actor: auditActor(req),
+      sessionId: req.get("x-session-id"),
+      details: { model: config.model, reconnect: req.get("x-reconnect") === "1" },
+    });
     res.send(sdp);
   } catch (e) {
-    console.error("/session error:", e);
+    logError("/session error:", e);
     res.status(500).send("Failed to create session");
   }
 });
 
-// API route for ephemeral token generation
-app.get("/token", async (req, res) => {
+// API route for ephemeral token generation for the session named by
+// `?sessionId=`, with that session's configuration
+app.get("/token", requireRole(...SESSION_RUNNERS), async (req, res) => {
   try {
     if (!apiKey) {
-      console.error("OPENAI_API_KEY is not set");
+      logError("OPENAI_API_KEY is not set");
       return res.status(500).json({ error: "Missing OPENAI_API_KEY on server" });
     }
+    const { config, status, error } = await sessionConfigFor(req, req.query.sessionId);
+    if (!config) return res.status(status).json({ error });
     const response = await fetch(
-      "https://api.openai.com/v1/realtime/client_secrets",
+      `${OPENAI_BASE_URL}/v1/realtime/client_secrets`,
       {
         method: "POST",
         headers: {
           Authorization: `Bearer ${apiKey}`,
-          "OpenAI-Beta": "realtime=v1",
           "Content-Type": "application/json",
         },
-        body: sessionConfig,
+        body: JSON.stringify({ session: realtimeSession(config) }),
       },
     );
 
     if (!response.ok) {
       const text = await response.text();
-      console.error("Failed to create client secret:", response.status, text);
+      logError("Failed to create client secret:", response.status, text);
       return res.status(502).json({
         error: "Failed to create client secret",
         status: response.status,
@@ -99,16 +230,687 @@ app.get("/token", async (req, res) => {
     // Normalize shape to always include .value for client
     const value = data?.client_secret?.value || data?.secret?.value || data?.value;
     if (!value) {
-      console.error("Unexpected client secret response:", data);
+      logError("Unexpected client secret response:", data);
       return res.status(502).json({ error: "Unexpected client secret response" });
     }
+    await audit({
+      action: "token.issue",
+      actor: auditActor(req),
+      sessionId: req.query.sessionId,
+      details: {
+        model: config.model,
+        expiresAt: data?.expires_at || null,
+      },
+    });
     res.json({ value });
   } catch (error) {
-    console.error("Token generation error:", error);
+    logError("Token generation error:", error);
     res.status(500).json({ error: "Failed to generate token" });
   }
 });
 
+// Staff login and kiosk enrollment
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const principal = await login(res, username, password);
+    await audit({
+      action: principal ? "auth.login" : "auth.login_failed",
+      actor: { ...auditActor(req), id: principal?.id || null, role: principal?.role || null },
+      details: principal ? null : { username: username || null },
+    });
+    if (!principal) return res.status(401).json({ error: "Invalid username or password" });
+    res.json(principal);
+  } catch (e) {
+    logError("Login error:", e);
+    res.status(500).json({ error: "Failed to log in" });
+  }
+});
+
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    if (req.principal) {
+      await audit({ action: "auth.logout", actor: auditActor(req) });
+    }
+    clearAuthCookie(res);
+    res.status(204).end();
+  } catch (e) {
+    logError("Logout error:", e);
+    res.status(500).json({ error: "Failed to log out" });
+  }
+});
+
+app.get("/api/auth/me", (req, res) => {
+  if (!req.principal) return res.status(401).json({ error: "Login required" });
+  res.json(req.principal);
+});
+
+app.post("/api/kiosks/enroll", async (req, res) => {
+  try {
+    const principal = await enrollKiosk(res, req.body?.enrollmentCode);
+    await audit({
+      action: principal ? "kiosk.enroll" : "kiosk.enroll_failed",
+      actor: { ...auditActor(req), kind: "kiosk", id: principal?.id || null, role: "kiosk" },
+    });
+    if (!principal) return res.status(401).json({ error: "Invalid or used enrollment code" });
+    res.json(principal);
+  } catch (e) {
+    logError("Kiosk enrollment error:", e);
+    res.status(500).json({ error: "Failed to enroll kiosk" });
+  }
+});
+
+// Account and device administration
+function sendAuthError(res, e, fallback) {
+  if (e instanceof AuthError) {
+    return res.status(e.status).json({ error: e.message });
+  }
+  logError(`${fallback}:`, e);
+  res.status(500).json({ error: fallback });
+}
+
+app.get("/api/users", requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await listUsers());
+  } catch (e) {
+    sendAuthError(res, e, "Failed to list users");
+  }
+});
+
+app.post("/api/users", requireRole("admin"), async (req, res) => {
+  try {
+    const user = await createUser(req.body || {});
+    await audit({ action: "user.create", actor: auditActor(req), details: user });
+    res.status(201).json(user);
+  } catch (e) {
+    sendAuthError(res, e, "Failed to create user");
+  }
+});
+
+app.get("/api/kiosks", requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await listKiosks());
+  } catch (e) {
+    sendAuthError(res, e, "Failed to list kiosks");
+  }
+});
+
+app.post("/api/kiosks", requireRole("admin"), async (req, res) => {
+  try {
+    const kiosk = await createKiosk(req.body?.name, req.principal.id);
+    await audit({
+      action: "kiosk.create",
+      actor: auditActor(req),
+      details: { id: kiosk.id, name: kiosk.name },
+    });
+    res.status(201).json(kiosk);
+  } catch (e) {
+    sendAuthError(res, e, "Failed to create kiosk");
+  }
+});
+
+app.delete("/api/kiosks/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const kiosk = await revokeKiosk(req.params.id);
+    if (!kiosk) return res.status(404).json({ error: "Kiosk not found" });
+    await audit({ action: "kiosk.revoke", actor: auditActor(req), details: { id: kiosk.id } });
+    res.status(204).end();
+  } catch (e) {
+    sendAuthError(res, e, "Failed to revoke kiosk");
+  }
+});
+
+// Language detection and translation of transcript turns and intake entries;
+// `target` defaults to the clinic language
+app.post("/api/translate", requireRole(...SESSION_RUNNERS), async (req, res) => {
+  const { texts, target = CLINIC_LANGUAGE } = req.body || {};
+  try {
+    res.json({ target, results: await translator.translate(texts, target) });
+  } catch (e) {
+    if (e instanceof TranslationError && e.status < 500) {
+      return res.status(e.status).json({ error: e.message });
+    }
+    logError("Translation failed:", e);
+    res.status(502).json({ error: "Failed to translate" });
+  }
+});
+
+// Intake protocols: versioned instructions, required sections, voice and tools
+app.get("/api/protocols", requireRole(...SESSION_RUNNERS), async (req, res) => {
+  try {
+    res.json({ default: DEFAULT_PROTOCOL, protocols: await listProtocols() });
+  } catch (e) {
+    logError("Failed to list protocols:", e);
+    res.status(500).json({ error: "Failed to list protocols" });
+  }
+});
+
+app.get("/api/protocols/:id", requireRole(...SESSION_RUNNERS), async (req, res) => {
+  try {
+    const protocol = await getProtocol(req.params.id, req.query.version);
+    if (!protocol) return res.status(404).json({ error: "Protocol not found" });
+    res.json(protocol);
+  } catch (e) {
+    logError("Failed to read protocol:", e);
+    res.status(500).json({ error: "Failed to read protocol" });
+  }
+});
+
+// Drug vocabulary for medication lookups and allergy cross-checks
+app.get("/api/drugs", requireRole(...SESSION_RUNNERS), async (req, res) => {
+  try {
+    res.json(await getDrugDictionary());
+  } catch (e) {
+    logError("Failed to read drug vocabulary:", e);
+    res.status(500).json({ error: "Failed to read drug vocabulary" });
+  }
+});
+
+// Price table for the console's running token cost
+app.get("/api/pricing", requireRole(...SESSION_RUNNERS), async (req, res) => {
+  try {
+    res.json(await getPricing());
+  } catch (e) {
+    logError("Failed to read pricing:", e);
+    res.status(500).json({ error: "Failed to read pricing" });
+  }
+});
+
+// Consent texts shown to the patient before a session starts, in every
+// configured language; `default` is the clinic language when there is one
+app.get("/api/consent", requireRole(...SESSION_RUNNERS), async (req, res) => {
+  try {
+    const consents = await listConsents();
+    const fallback = consents.find((c) => c.language === CLINIC_LANGUAGE) || consents[0];
+    res.json({ default: fallback?.language || null, consents });
+  } catch (e) {
+    logError("Failed to read consent texts:", e);
+    res.status(500).json({ error: "Failed to read consent texts" });
+  }
+});
+
+// Per-session settings: the server defaults and what an admin allows staff to
+// change (see lib/sessionConfig.js)
+app.get("/api/session-config", requireRole(...SESSION_RUNNERS), async (req, res) => {
+  try {
+    res.json({ defaults: SESSION_DEFAULTS, limits: await getSessionLimits() });
+  } catch (e) {
+    logError("Failed to read session settings:", e);
+    res.status(500).json({ error: "Failed to read session settings" });
+  }
+});
+
+app.put("/api/session-config/limits", requireRole("admin"), async (req, res) => {
+  try {
+    const { limits, errors } = await saveSessionLimits(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid session limits", details: errors });
+    }
+    await audit({ action: "session_limits.update", actor: auditActor(req), details: limits });
+    res.json(limits);
+  } catch (e) {
+    logError("Failed to save session limits:", e);
+    res.status(500).json({ error: "Failed to save session limits" });
+  }
+});
+
+// Session persistence: the console creates a session, streams its events
+// while it runs and saves the derived transcript and intake. Every session
+// starts with the patient's consent decision; a declined one is only a record
+// of the decision and can never connect.
+app.post("/api/sessions", requireRole(...SESSION_RUNNERS), async (req, res) => {
+  try {
+    const { consent, errors: consentErrors } = await resolveConsent(req.body?.consent);
+    if (consentErrors.length > 0) {
+      return res.status(400).json({ error: "Invalid consent", details: consentErrors });
+    }
+    const protocol = await getProtocol(req.body?.protocolId || DEFAULT_PROTOCOL);
+    if (!protocol) return res.status(400).json({ error: "Unknown protocol" });
+    if (consent.decision === "declined") {
+      const session = await createSession(req.body?.metadata || {}, {
+        protocol: protocolRef(protocol),
+        createdBy: req.principal,
+        consent,
+      });
+      await audit({
+        action: "consent.decline",
+        actor: auditActor(req),
+        sessionId: session.id,
+        details: { language: consent.language, version: consent.version },
+      });
+      return res.status(201).json(session);
+    }
+    const { config, errors } = resolveSessionConfig({
+      defaults: SESSION_DEFAULTS,
+      protocol,
+      requested: req.body?.config,
+      limits: await getSessionLimits(),
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Session settings not allowed", details: errors });
+    }
+    const session = await createSession(req.body?.metadata || {}, {
+      protocol: protocolRef(protocol),
+      createdBy: req.principal,
+      config,
+      consent,
+    });
+    const { instructions, ...settings } = config;
+    await audit({
+      action: "consent.accept",
+      actor: auditActor(req),
+      sessionId: session.id,
+      details: { language: consent.language, version: consent.version },
+    });
+    await audit({
+      action: "session.start",
+      actor: auditActor(req),
+      sessionId: session.id,
+      details: {
+        protocol: session.protocol,
+        config: { ...settings, customInstructions: instructions !== protocol.instructions },
+      },
+    });
+    res.status(201).json(session);
+  } catch (e) {
+    logError("Failed to create session record:", e);
+    res.status(500).json({ error: "Failed to create session" });
+  }
+});
+
+app.get("/api/sessions", requireRole(...SESSION_LISTERS), async (req, res) => {
+  try {
+    const sessions = await listSessions();
+    await audit({
+      action: "session.list",
+      actor: auditActor(req),
+      details: { count: sessions.length },
+    });
+    res.json(sessions);
+  } catch (e) {
+    logError("Failed to list sessions:", e);
+    res.status(500).json({ error: "Failed to list sessions" });
+  }
+});
+
+app.get("/api/sessions/:id", requireRole(...SESSION_READERS), async (req, res) => {
+  try {
+    const session = await getSession(req.params.id);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    await audit({ action: "transcript.view", actor: auditActor(req), sessionId: session.id });
+    res.json(session);
+  } catch (e) {
+    logError("Failed to read session:", e);
+    res.status(500).json({ error: "Failed to read session" });
+  }
+});
+
+app.patch("/api/sessions/:id", requireRole(...SESSION_RUNNERS), async (req, res) => {
+  try {
+    const before = await getSession(req.params.id);
+    if (!before) return res.status(404).json({ error: "Session not found" });
+    if (!canWriteSession(req, before)) {
+      return res.status(403).json({ error: "Not allowed for this session" });
+    }
+    let session = await updateSession(req.params.id, req.body || {});
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    if (before.status === "active" && session.status !== "active") {
+      // Meter the session from its stored events: the console streams them
+      // before it marks the session ended
+      const usage = sessionUsage(await readEvents(session.id), {
+        model: session.config?.model,
+        pricing: await getPricing(),
+      });
+      session = (await saveUsage(session.id, usage)) || session;
+      await audit({
+        action: "session.stop",
+        actor: auditActor(req),
+        sessionId: session.id,
+        details: {
+          status: session.status,
+          eventCount: session.eventCount,
+          cost: usage.cost,
+          currency: usage.currency,
+        },
+      });
+    }
+    res.json(session);
+  } catch (e) {
+    if (e instanceof SessionUpdateError) {
+      return res.status(e.status).json({ error: e.message });
+    }
+    logError("Failed to update session:", e);
+    res.status(500).json({ error: "Failed to update session" });
+  }
+});
+
+app.post("/api/sessions/:id/review", requireRole("clinician"), async (req, res) => {
+  const reviewedBy = req.principal.id;
+  try {
+    const session = await markReviewed(req.params.id, reviewedBy);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    await audit({
+      action: "session.review",
+      actor: auditActor(req),
+      sessionId: session.id,
+      details: { reviewedBy },
+    });
+    res.json(session);
+  } catch (e) {
+    logError("Failed to mark session reviewed:", e);
+    res.status(500).json({ error: "Failed to mark session reviewed" });
+  }
+});
+
+app.get("/api/sessions/:id/events", requireRole(...SESSION_READERS), async (req, res) => {
+  try {
+    const session = await getSession(req.params.id);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    const events = await readEvents(req.params.id);
+    // ?format=jsonl downloads the stream as a recording for the replay page
+    if (req.query.format === "jsonl") {
+      await audit({ action: "events.export", actor: auditActor(req), sessionId: session.id });
+      res.attachment(`session-events-${session.id}.jsonl`);
+      res.type("application/x-ndjson");
+      return res.send(toJsonl(events));
+    }
+    await audit({ action: "events.view", actor: auditActor(req), sessionId: session.id });
+    res.json(events);
+  } catch (e) {
+    logError("Failed to read session events:", e);
+    res.status(500).json({ error: "Failed to read session events" });
+  }
+});
+
+// Two-sided audio recording (lib/audioRecording.js): the console uploads the
+// patient's and the receptionist's track when the session stops
+const AUDIO_TYPES = ["audio/webm", "audio/ogg", "audio/mp4"];
+const MAX_AUDIO_SIZE = "200mb";
+
+app.put(
+  "/api/sessions/:id/audio/:side",
+  requireRole(...SESSION_RUNNERS),
+  express.raw({ type: "audio/*", limit: MAX_AUDIO_SIZE }),
+  async (req, res) => {
+    try {
+      const session = await getSession(req.params.id);
+      if (!session || !canWriteSession(req, session)) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+      const { side } = req.params;
+      const mimeType = req.get("content-type")?.split(";")[0].trim();
+      const startedAt = Number(req.get("x-recording-started-at"));
+      const errors = [];
+      if (!AUDIO_SIDES.includes(side)) errors.push(`Unknown side: ${side}`);
+      if (!AUDIO_TYPES.includes(mimeType)) {
+        errors.push(`Content-Type must be one of ${AUDIO_TYPES.join(", ")}`);
+      }
+      if (!Number.isFinite(startedAt) || startedAt <= 0) {
+        errors.push("X-Recording-Started-At must be the recording start in epoch ms");
+      }
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) errors.push("The recording is empty");
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid recording", details: errors });
+      }
+      const updated = await saveAudio(session.id, side, {
+        data: req.body,
+        mimeType,
+        startedAt,
+        uploadedBy: req.principal.id,
+      });
+      await audit({
+        action: "audio.upload",
+        actor: auditActor(req),
+        sessionId: session.id,
+        details: { side, size: req.body.length },
+      });
+      res.json(updated.audio[side]);
+    } catch (e) {
+      logError("Failed to save session audio:", e);
+      res.status(500).json({ error: "Failed to save session audio" });
+    }
+  },
+);
+
+// Range requests (seeking) are served by sendFile; only the first request of
+// a playback is audited
+app.get("/api/sessions/:id/audio/:side", requireRole(...SESSION_READERS), async (req, res) => {
+  try {
+    const recording =
+      AUDIO_SIDES.includes(req.params.side) && (await audioFile(req.params.id, req.params.side));
+    if (!recording) return res.status(404).json({ error: "Recording not found" });
+    const range = req.get("range");
+    if (!range || /^bytes=0-/.test(range)) {
+      await audit({
+        action: "audio.play",
+        actor: auditActor(req),
+        sessionId: req.params.id,
+        details: { side: req.params.side },
+      });
+    }
+    res.type(recording.mimeType);
+    res.sendFile(recording.path);
+  } catch (e) {
+    logError("Failed to read session audio:", e);
+    res.status(500).json({ error: "Failed to read session audio" });
+  }
+});
+
+app.post("/api/sessions/:id/events", requireRole(...SESSION_RUNNERS), async (req, res) => {
+  if (!Array.isArray(req.body)) {
+    return res.status(400).json({ error: "Expected an array of events" });
+  }
+  try {
+    const existing = await getSession(req.params.id);
+    if (!existing) return res.status(404).json({ error: "Session not found" });
+    if (!canWriteSession(req, existing)) {
+      return res.status(403).json({ error: "Not allowed for this session" });
+    }
+    const session = await appendEvents(req.params.id, req.body);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    res.status(204).end();
+  } catch (e) {
+    if (e instanceof SessionUpdateError) {
+      return res.status(e.status).json({ error: e.message });
+    }
+    logError("Failed to store session events:", e);
+    res.status(500).json({ error: "Failed to store session events" });
+  }
+});
+
+// FHIR R4 Bundle for a stored session, same builder as the console download
+app.get("/api/sessions/:id/fhir", requireRole(...SESSION_READERS), async (req, res) => {
+  try {
+    const session = await getSession(req.params.id);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    if (!session.intake) {
+      return res.status(409).json({ error: "Session has no structured intake" });
+    }
+    // ?redact=1 masks PHI in the answers and transcript (and drops the id)
+    const redact = req.query.redact === "1" || req.query.redact === "true";
+    const redactor = createRedactor();
+    const bundle = buildIntakeBundle({
+      intake: redact ? redactor.redactValue(session.intake) : session.intake,
+      transcript: redact ? redactor.redactValue(session.transcript) : session.transcript,
+      patientId: redact ? null : session.metadata?.patientId,
+      completedAt: session.endedAt || session.updatedAt,
+    });
+    await audit({
+      action: "fhir.export",
+      actor: auditActor(req),
+      sessionId: session.id,
+      details: { redacted: redact },
+    });
+    res.set("Content-Type", "application/fhir+json").send(JSON.stringify(bundle));
+  } catch (e) {
+    logError("Failed to build FHIR bundle:", e);
+    res.status(500).json({ error: "Failed to build FHIR bundle" });
+  }
+});
+
+// Emergency red flags: recorded on the session, audited and pushed to every
+// connected staff screen right away
+const RED_FLAG_SOURCES = ["rules", "model"];
+const MAX_EXCERPT_LENGTH = 1000;
+
+app.post("/api/sessions/:id/red-flags", requireRole(...SESSION_RUNNERS), async (req, res) => {
+  const { category, source, excerpt, reason, itemId } = req.body || {};
+  if (!isRedFlagCategory(category) || !RED_FLAG_SOURCES.includes(source)) {
+    return res.status(400).json({ error: "Unknown red flag category or source" });
+  }
+  try {
+    const existing = await getSession(req.params.id);
+    if (!existing) return res.status(404).json({ error: "Session not found" });
+    if (!canWriteSession(req, existing)) {
+      return res.status(403).json({ error: "Not allowed for this session" });
+    }
+    const flag = {
+      id: randomUUID(),
+      category,
+      source,
+      excerpt: String(excerpt || "").slice(0, MAX_EXCERPT_LENGTH),
+      reason: reason ? String(reason).slice(0, MAX_EXCERPT_LENGTH) : null,
+      itemId: typeof itemId === "string" ? itemId : null,
+      raisedAt: new Date().toISOString(),
+    };
+    const session = await addRedFlag(existing.id, flag);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    await audit({
+      action: "red_flag.raise",
+      actor: auditActor(req),
+      sessionId: session.id,
+      details: { id: flag.id, category, source },
+    });
+    const notified = publishAlert({
+      type: "red_flag",
+      sessionId: session.id,
+      patientId: session.metadata?.patientId || null,
+      raisedBy: { kind: req.principal.kind, id: req.principal.id, role: req.principal.role },
+      flag,
+    });
+    res.status(201).json({ ...flag, notified });
+  } catch (e) {
+    logError("Failed to record red flag:", e);
+    res.status(500).json({ error: "Failed to record red flag" });
+  }
+});
+
+// Live staff alerts (red flags) as Server-Sent Events
+app.get("/api/alerts/stream", requireRole(...STAFF_ROLES), (req, res) => {
+  subscribeAlerts(req, res);
+});
+
+// Staff save the clinician note written at "finish intake" after editing it
+app.put("/api/sessions/:id/note", requireRole(...STAFF_ROLES), async (req, res) => {
+  const { format, text, generatedText } = req.body || {};
+  const errors = [];
+  if (!noteFormat(format)) errors.push("Unknown note format");
+  if (typeof text !== "string" || !text.trim()) {
+    errors.push("The note is empty");
+  } else if (text.length > MAX_NOTE_LENGTH) {
+    errors.push(`Notes are limited to ${MAX_NOTE_LENGTH} characters`);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid note", details: errors });
+  }
+  try {
+    const existing = await getSession(req.params.id);
+    if (!existing) return res.status(404).json({ error: "Session not found" });
+    const session = await saveNote(existing.id, {
+      format,
+      text,
+      generatedText:
+        typeof generatedText === "string" ? generatedText.slice(0, MAX_NOTE_LENGTH) : null,
+      updatedBy: req.principal.id,
+    });
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    await audit({
+      action: existing.note ? "note.update" : "note.create",
+      actor: auditActor(req),
+      sessionId: session.id,
+      details: { format, length: text.length },
+    });
+    res.json(session);
+  } catch (e) {
+    logError("Failed to save note:", e);
+    res.status(500).json({ error: "Failed to save note" });
+  }
+});
+
+// Exports made in the browser (copy, downloads) are reported here
+app.post("/api/sessions/:id/access", requireRole(...STAFF_ROLES), async (req, res) => {
+  const { action, details } = req.body || {};
+  if (!REPORTED_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: "Unknown access action" });
+  }
+  try {
+    const session = await getSession(req.params.id);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    await audit({ action, actor: auditActor(req), sessionId: session.id, details });
+    res.status(204).end();
+  } catch (e) {
+    logError("Failed to record access:", e);
+    res.status(500).json({ error: "Failed to record access" });
+  }
+});
+
+// Token usage and cost of sessions started in [from, to) (YYYY-MM-DD, UTC),
+// per day, protocol and kiosk, for budgeting
+const REPORT_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+app.get("/api/usage/report", requireRole("admin"), async (req, res) => {
+  const { from, to } = req.query;
+  const errors = [from, to]
+    .filter((date) => date !== undefined && !REPORT_DATE.test(date))
+    .map((date) => `Not a YYYY-MM-DD date: ${date}`);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid report range", details: errors });
+  }
+  try {
+    const report = usageReport(await listSessions(), { from, to });
+    await audit({ action: "usage.report", actor: auditActor(req), details: { from, to } });
+    res.json(report);
+  } catch (e) {
+    logError("Failed to build usage report:", e);
+    res.status(500).json({ error: "Failed to build usage report" });
+  }
+});
+
+// Audit trail, staff only. Filters: action, sessionId, from, to, limit
+app.get("/api/audit", requireRole("admin"), async (req, res) => {
+  try {
+    const { action, sessionId, from, to, limit } = req.query;
+    const [records, chain] = await Promise.all([
+      queryAudit({ action, sessionId, from, to, limit: Number(limit) || undefined }),
+      verifyAudit(),
+    ]);
+    await audit({ action: "audit.view", actor: auditActor(req), details: req.query });
+    res.json({ chain, records });
+  } catch (e) {
+    logError("Failed to query audit log:", e);
+    res.status(500).json({ error: "Failed to query audit log" });
+  }
+});
+
+// Full log as JSONL for access reviews; the chain check travels in a header
+app.get("/api/audit/export", requireRole("admin"), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const [records, chain] = await Promise.all([queryAudit({ from, to }), verifyAudit()]);
+    await audit({ action: "audit.export", actor: auditActor(req), details: req.query });
+    res
+      .set({
+        "Content-Type": "application/x-ndjson",
+        "Content-Disposition": `attachment; filename="audit-${new Date().toISOString().split("T")[0]}.jsonl"`,
+        "X-Audit-Chain-Valid": String(chain.valid),
+      })
+      .send(records.map((record) => JSON.stringify(record)).join("\n") + "\n");
+  } catch (e) {
+    logError("Failed to export audit log:", e);
+    res.status(500).json({ error: "Failed to export audit log" });
+  }
+});
+
 // Render the React client
 app.use("*", async (req, res, next) => {
   const url = req.originalUrl;
@@ -129,5 +931,5 @@ app.use("*", async (req, res, next) => {
 });
 
 app.listen(port, () => {
-  console.log(`Express server running on *:${port}`);
+  logInfo(`Express server running on *:${port}`);
 });
@@ -0,0 +1,30 @@
+// Live alerts for staff screens over Server-Sent Events. Every connected
+// staff browser gets every alert; nothing is kept for screens that connect
+// later (the alert is recorded on the session and in the audit log).
+
+const HEARTBEAT_MS = 25000;
+
+const subscribers = new Set();
+
+export function subscribeAlerts(req, res) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+  subscribers.add(res);
+  // Comments keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    subscribers.delete(res);
+  });
+}
+
+export function publishAlert(alert) {
+  const message = `event: ${alert.type}\ndata: ${JSON.stringify(alert)}\n\n`;
+  subscribers.forEach((res) => res.write(message));
+  return subscribers.size;
+}
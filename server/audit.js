@@ -0,0 +1,100 @@
+import fs from "fs/promises";
+import { createHash } from "crypto";
+import { dirname, join, resolve } from "path";
+
+// Append-only audit log (JSONL). Every record carries the hash of the one
+// before it, so editing or deleting a line breaks the chain and shows up in
+// verifyAudit().
+const DATA_DIR = resolve(process.env.DATA_DIR || "./data");
+const AUDIT_FILE = join(DATA_DIR, "audit.log");
+
+const GENESIS_HASH = "0".repeat(64);
+
+let tail = null;
+let writing = Promise.resolve();
+
+function hashRecord(record) {
+  return createHash("sha256").update(JSON.stringify(record)).digest("hex");
+}
+
+async function readRecords() {
+  try {
+    const text = await fs.readFile(AUDIT_FILE, "utf-8");
+    return text
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+}
+
+async function loadTail() {
+  if (!tail) {
+    const records = await readRecords();
+    const last = records[records.length - 1];
+    tail = last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+  }
+  return tail;
+}
+
+// Who made the request: the logged-in user or enrolled kiosk, plus origin
+export function auditActor(req) {
+  const principal = req.principal;
+  return {
+    kind: principal?.kind || "anonymous",
+    id: principal?.id || null,
+    role: principal?.role || null,
+    ip: req.ip,
+    userAgent: req.get("user-agent") || null,
+  };
+}
+
+// Append one record: { action, actor, sessionId?, details? }
+export function audit({ action, actor, sessionId = null, details = null }) {
+  const write = writing.then(async () => {
+    const { seq, hash: prevHash } = await loadTail();
+    const record = {
+      seq: seq + 1,
+      at: new Date().toISOString(),
+      action,
+      actor,
+      sessionId,
+      details,
+      prevHash,
+    };
+    const entry = { ...record, hash: hashRecord(record) };
+    await fs.mkdir(dirname(AUDIT_FILE), { recursive: true });
+    await fs.appendFile(AUDIT_FILE, JSON.stringify(entry) + "\n");
+    tail = { seq: entry.seq, hash: entry.hash };
+    return entry;
+  });
+  writing = write.catch(() => {});
+  return write;
+}
+
+// Records matching the filters, oldest first
+export async function queryAudit({ action, sessionId, from, to, limit } = {}) {
+  const records = (await readRecords()).filter(
+    (record) =>
+      (!action || record.action === action) &&
+      (!sessionId || record.sessionId === sessionId) &&
+      (!from || record.at >= from) &&
+      (!to || record.at <= to),
+  );
+  return limit ? records.slice(-limit) : records;
+}
+
+// Walk the whole chain; reports the first record whose hash does not match
+export async function verifyAudit() {
+  const records = await readRecords();
+  let prevHash = GENESIS_HASH;
+  for (const { hash, ...record } of records) {
+    if (record.prevHash !== prevHash || hashRecord(record) !== hash) {
+      return { valid: false, count: records.length, brokenAt: record.seq };
+    }
+    prevHash = hash;
+  }
+  return { valid: true, count: records.length, brokenAt: null };
+}
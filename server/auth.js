@@ -0,0 +1,237 @@
+import fs from "fs/promises";
+import { createHmac, randomBytes, scryptSync, timingSafeEqual } from "crypto";
+import { dirname, join, resolve } from "path";
+import { logError } from "./log.js";
+
+// Staff accounts (admin, clinician, front_desk) log in with a password; kiosk
+// devices are enrolled once with a one-time code and may only run patient
+// sessions. Both get a signed, HttpOnly cookie; kiosk cookies are re-checked
+// against the kiosk registry so a device can be revoked.
+const DATA_DIR = resolve(process.env.DATA_DIR || "./data");
+const USERS_FILE = join(DATA_DIR, "users.json");
+const KIOSKS_FILE = join(DATA_DIR, "kiosks.json");
+
+export const STAFF_ROLES = ["admin", "clinician", "front_desk"];
+export const ROLES = [...STAFF_ROLES, "kiosk"];
+
+const COOKIE_NAME = "hh_auth";
+const STAFF_TTL_MS = 12 * 60 * 60 * 1000;
+const KIOSK_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+
+let secret = process.env.AUTH_SECRET;
+if (!secret) {
+  secret = randomBytes(32).toString("hex");
+  logError("AUTH_SECRET is not set; logins will not survive a server restart");
+}
+
+export class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf-8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+}
+
+async function writeJson(file, data) {
+  await fs.mkdir(dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.rename(tmp, file);
+}
+
+function hashSecret(value, salt) {
+  return scryptSync(value, salt, 64).toString("hex");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+function sign(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const signature = createHmac("sha256", secret).update(body).digest("base64url");
+  return `${body}.${signature}`;
+}
+
+function verify(token) {
+  const [body, signature] = (token || "").split(".");
+  if (!body || !signature) return null;
+  const expected = createHmac("sha256", secret).update(body).digest("base64url");
+  if (!safeEqual(signature, expected)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+    return payload.exp > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+function readCookie(req, name) {
+  const header = req.get("cookie") || "";
+  for (const part of header.split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+function setAuthCookie(res, payload) {
+  res.cookie(COOKIE_NAME, sign(payload), {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: process.env.COOKIE_SECURE === "true",
+    expires: new Date(payload.exp),
+    path: "/",
+  });
+}
+
+export function clearAuthCookie(res) {
+  res.clearCookie(COOKIE_NAME, { path: "/" });
+}
+
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD on an empty store
+export async function bootstrapAdmin() {
+  const users = await readJson(USERS_FILE);
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (users.length > 0 || !ADMIN_USERNAME || !ADMIN_PASSWORD) return;
+  await createUser({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: "admin" });
+}
+
+export async function listUsers() {
+  return (await readJson(USERS_FILE)).map(({ username, role, createdAt }) => ({
+    username,
+    role,
+    createdAt,
+  }));
+}
+
+export async function createUser({ username, password, role }) {
+  if (!username || !password || password.length < 10) {
+    throw new AuthError(400, "A username and a password of at least 10 characters are required");
+  }
+  if (!STAFF_ROLES.includes(role)) {
+    throw new AuthError(400, `Role must be one of ${STAFF_ROLES.join(", ")}`);
+  }
+  const users = await readJson(USERS_FILE);
+  if (users.some((user) => user.username === username)) {
+    throw new AuthError(409, "Username already exists");
+  }
+  const salt = randomBytes(16).toString("hex");
+  users.push({
+    username,
+    role,
+    salt,
+    passwordHash: hashSecret(password, salt),
+    createdAt: new Date().toISOString(),
+  });
+  await writeJson(USERS_FILE, users);
+  return { username, role };
+}
+
+// Returns the staff principal or null
+export async function login(res, username, password) {
+  const user = (await readJson(USERS_FILE)).find((u) => u.username === username);
+  if (!user || !password || !safeEqual(hashSecret(password, user.salt), user.passwordHash)) {
+    return null;
+  }
+  const principal = { kind: "staff", id: user.username, role: user.role };
+  setAuthCookie(res, { ...principal, exp: Date.now() + STAFF_TTL_MS });
+  return principal;
+}
+
+export async function listKiosks() {
+  return (await readJson(KIOSKS_FILE)).map(({ codeHash, salt, ...kiosk }) => kiosk);
+}
+
+// Registers a kiosk and returns its one-time enrollment code ("<id>.<secret>")
+export async function createKiosk(name, createdBy) {
+  if (!name) throw new AuthError(400, "A kiosk name is required");
+  const kiosks = await readJson(KIOSKS_FILE);
+  const id = `kiosk_${randomBytes(6).toString("hex")}`;
+  const code = randomBytes(9).toString("base64url");
+  const salt = randomBytes(16).toString("hex");
+  kiosks.push({
+    id,
+    name,
+    salt,
+    codeHash: hashSecret(code, salt),
+    createdAt: new Date().toISOString(),
+    createdBy,
+    enrolledAt: null,
+    revokedAt: null,
+  });
+  await writeJson(KIOSKS_FILE, kiosks);
+  return { id, name, enrollmentCode: `${id}.${code}` };
+}
+
+// Exchanges an enrollment code for a kiosk cookie; each code works once
+export async function enrollKiosk(res, enrollmentCode) {
+  const [id, code] = String(enrollmentCode || "").trim().split(".");
+  const kiosks = await readJson(KIOSKS_FILE);
+  const kiosk = kiosks.find((k) => k.id === id);
+  if (
+    !kiosk ||
+    kiosk.enrolledAt ||
+    kiosk.revokedAt ||
+    !code ||
+    !safeEqual(hashSecret(code, kiosk.salt), kiosk.codeHash)
+  ) {
+    return null;
+  }
+  kiosk.enrolledAt = new Date().toISOString();
+  await writeJson(KIOSKS_FILE, kiosks);
+  const principal = { kind: "kiosk", id: kiosk.id, role: "kiosk", name: kiosk.name };
+  setAuthCookie(res, { ...principal, exp: Date.now() + KIOSK_TTL_MS });
+  return principal;
+}
+
+export async function revokeKiosk(id) {
+  const kiosks = await readJson(KIOSKS_FILE);
+  const kiosk = kiosks.find((k) => k.id === id);
+  if (!kiosk) return null;
+  kiosk.revokedAt = kiosk.revokedAt || new Date().toISOString();
+  await writeJson(KIOSKS_FILE, kiosks);
+  return kiosk;
+}
+
+// Express middleware: sets req.principal ({ kind, id, role }) or null
+export async function authenticate(req, res, next) {
+  try {
+    const payload = verify(readCookie(req, COOKIE_NAME));
+    req.principal = null;
+    if (payload?.kind === "kiosk") {
+      const kiosk = (await readJson(KIOSKS_FILE)).find((k) => k.id === payload.id);
+      if (kiosk && !kiosk.revokedAt) {
+        req.principal = { kind: "kiosk", id: kiosk.id, role: "kiosk", name: kiosk.name };
+      }
+    } else if (payload?.kind === "staff") {
+      req.principal = { kind: "staff", id: payload.id, role: payload.role };
+    }
+    next();
+  } catch (e) {
+    next(e);
+  }
+}
+
+// Express middleware factory: only the listed roles may pass
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.principal) {
+      return res.status(401).json({ error: "Login required" });
+    }
+    if (!roles.includes(req.principal.role)) {
+      return res.status(403).json({ error: "Not allowed for this role" });
+    }
+    next();
+  };
+}
@@ -0,0 +1,76 @@
+import fs from "fs/promises";
+import { createHash } from "crypto";
+import { join, resolve } from "path";
+
+// Patient consent texts, one file per language under config/consent/<lang>.json.
+// Clinics edit them and bump `version` when the wording changes; each session
+// records the version and content hash of the text the patient answered.
+const CONSENT_DIR = resolve(process.env.CONSENT_DIR || "./config/consent");
+
+const LANGUAGE_FILE = /^([a-z]{2,3}(?:-[A-Za-z0-9]+)?)\.json$/;
+
+export const CONSENT_DECISIONS = ["accepted", "declined"];
+
+function hashConsent(consent) {
+  return createHash("sha256").update(JSON.stringify(consent)).digest("hex").slice(0, 16);
+}
+
+export async function getConsent(language) {
+  if (!LANGUAGE_FILE.test(`${language}.json`)) return null;
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(join(CONSENT_DIR, `${language}.json`), "utf-8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+  const consent = { ...raw, language };
+  return { ...consent, hash: hashConsent(consent) };
+}
+
+// Every configured language, sorted by name
+export async function listConsents() {
+  let files;
+  try {
+    files = await fs.readdir(CONSENT_DIR);
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  const consents = await Promise.all(
+    files
+      .map((file) => LANGUAGE_FILE.exec(file)?.[1])
+      .filter(Boolean)
+      .map((language) => getConsent(language)),
+  );
+  return consents.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Checks a patient's answer ({ language, version, decision }) against the
+// current text and returns what the session stores, or the errors. An answer
+// to an older version is rejected: the patient has to see the current text.
+export async function resolveConsent(answer) {
+  const errors = [];
+  if (!answer || typeof answer !== "object") {
+    return { consent: null, errors: ["The patient's consent decision is missing"] };
+  }
+  if (!CONSENT_DECISIONS.includes(answer.decision)) {
+    errors.push(`Consent decision must be one of ${CONSENT_DECISIONS.join(", ")}`);
+  }
+  const text = typeof answer.language === "string" ? await getConsent(answer.language) : null;
+  if (!text) errors.push(`Unknown consent language: ${answer.language}`);
+  else if (answer.version !== text.version) {
+    errors.push(`Consent text version ${answer.version} is out of date (current: ${text.version})`);
+  }
+  if (errors.length > 0) return { consent: null, errors };
+  return {
+    consent: {
+      decision: answer.decision,
+      language: text.language,
+      version: text.version,
+      hash: text.hash,
+      decidedAt: new Date().toISOString(),
+    },
+    errors,
+  };
+}
@@ -0,0 +1,21 @@
+import fs from "fs/promises";
+import { resolve } from "path";
+
+// The offline drug vocabulary used to normalize medications and allergies
+// (see lib/medications.js). Clinics can point DRUGS_FILE at their own list.
+const DRUGS_FILE = resolve(process.env.DRUGS_FILE || "./config/drugs.json");
+
+export async function getDrugDictionary() {
+  const dictionary = JSON.parse(await fs.readFile(DRUGS_FILE, "utf-8"));
+  return {
+    version: dictionary.version,
+    classes: dictionary.classes || [],
+    drugs: (dictionary.drugs || []).map((drug) => ({
+      brands: [],
+      classes: [],
+      forms: [],
+      strengths: [],
+      ...drug,
+    })),
+  };
+}
@@ -0,0 +1,22 @@
+import { inspect } from "util";
+import { redactText } from "../lib/redact.js";
+
+// Server logs are always redacted: upstream error bodies and request data can
+// echo what the patient said.
+function format(args) {
+  return args
+    .map((arg) => {
+      if (typeof arg === "string") return arg;
+      if (arg instanceof Error) return arg.stack || arg.message;
+      return inspect(arg, { depth: 4 });
+    })
+    .join(" ");
+}
+
+export function logError(...args) {
+  console.error(redactText(format(args)));
+}
+
+export function logInfo(...args) {
+  console.log(redactText(format(args)));
+}
@@ -0,0 +1,547 @@
+import express from "express";
+import fs from "fs/promises";
+import { randomBytes } from "crypto";
+import { join, resolve } from "path";
+import { logError, logInfo } from "./log.js";
+
+// Local stand-in for the Realtime API, mounted when REALTIME_MOCK=1. It
+// answers the WebRTC SDP exchange and the client secret request, then plays a
+// scripted conversation over the data channel: patient turns arrive as speech
+// and transcription events, assistant turns as audio transcript deltas and
+// function calls, each response ending in `response.done`. No audio is sent.
+//
+// A script (server/mockScripts/<name>.json) is a list of steps:
+//   { "user": "..." }                       patient speaks after a short pause
+//   { "assistant": "...", "calls": [...] }  the next response; either part is optional
+// Patient turns start a response on their own (like server VAD). Assistant
+// steps that follow a response are only played when the client sends
+// `response.create`, e.g. after returning function call outputs. With turn
+// detection switched off (push-to-talk) a patient turn is played when the
+// client commits the input audio buffer.
+const SCRIPTS_DIR = resolve(process.env.MOCK_SCRIPTS_DIR || "./server/mockScripts");
+
+const FALLBACK_REPLY = "Thank you. Is there anything else you would like to tell me?";
+const USER_PAUSE_MS = 1500;
+const WORD_MS = 80;
+
+function newId(prefix) {
+  return `${prefix}_${randomBytes(12).toString("hex")}`;
+}
+
+function words(text) {
+  return text.match(/\S+\s*/g) || [];
+}
+
+// Rough token estimate so `response.done` carries a usage block
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+async function loadMockScript(name) {
+  if (!/^[a-z0-9-]+$/.test(name)) throw new Error(`Invalid mock script name: ${name}`);
+  return JSON.parse(await fs.readFile(join(SCRIPTS_DIR, `${name}.json`), "utf-8"));
+}
+
+// Plays one scripted conversation. `send` delivers a server event to the
+// client; feed client events into `receive`. `config` is the session object
+// the call was created with.
+export function createMockConversation(script, { send, model, speed = 1, config = {} }) {
+  const session = {
+    type: "realtime",
+    object: "realtime.session",
+    id: newId("sess"),
+    model,
+    output_modalities: ["audio"],
+    instructions: "",
+    tools: [],
+    tool_choice: "auto",
+    audio: {
+      input: { turn_detection: { type: "server_vad", create_response: true } },
+      output: { voice: "marin" },
+    },
+    ...config,
+  };
+  const timers = new Set();
+  let step = 0;
+  let lastItemId = null;
+  let responding = null;
+  let closed = false;
+
+  function wait(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        resolve();
+      }, ms / speed);
+      timers.add(timer);
+    });
+  }
+
+  function emit(event) {
+    if (!closed) send({ event_id: newId("event"), ...event });
+  }
+
+  function turnDetection() {
+    const input = session.audio?.input;
+    return input && "turn_detection" in input ? input.turn_detection : session.turn_detection;
+  }
+
+  function autoRespond() {
+    return Boolean(turnDetection()) && turnDetection().create_response !== false;
+  }
+
+  function emitError(code, message, eventId) {
+    emit({
+      type: "error",
+      error: { type: "invalid_request_error", code, message, event_id: eventId || null },
+    });
+  }
+
+  async function playUserTurn(text) {
+    const itemId = newId("item");
+    const previousItemId = lastItemId;
+    lastItemId = itemId;
+    if (turnDetection()) {
+      emit({ type: "input_audio_buffer.speech_started", audio_start_ms: 0, item_id: itemId });
+      await wait(words(text).length * WORD_MS * 2);
+      emit({ type: "input_audio_buffer.speech_stopped", audio_end_ms: 0, item_id: itemId });
+    }
+    emit({ type: "input_audio_buffer.committed", previous_item_id: previousItemId, item_id: itemId });
+    emit({
+      type: "conversation.item.added",
+      previous_item_id: previousItemId,
+      item: {
+        id: itemId,
+        object: "realtime.item",
+        type: "message",
+        status: "completed",
+        role: "user",
+        content: [{ type: "input_audio", transcript: null }],
+      },
+    });
+    if (autoRespond()) respond();
+    for (const delta of words(text)) {
+      await wait(WORD_MS);
+      emit({
+        type: "conversation.item.input_audio_transcription.delta",
+        item_id: itemId,
+        content_index: 0,
+        delta,
+      });
+    }
+    emit({
+      type: "conversation.item.input_audio_transcription.completed",
+      item_id: itemId,
+      content_index: 0,
+      transcript: text,
+    });
+  }
+
+  async function playMessage(response, text) {
+    const outputIndex = response.output.length;
+    const item = {
+      id: newId("item"),
+      object: "realtime.item",
+      type: "message",
+      status: "in_progress",
+      role: "assistant",
+      content: [],
+    };
+    const ids = { response_id: response.id, item_id: item.id, output_index: outputIndex };
+    response.output.push(item);
+    lastItemId = item.id;
+    emit({ type: "response.output_item.added", response_id: response.id, output_index: outputIndex, item });
+    emit({ type: "conversation.item.added", item });
+    emit({ type: "response.content_part.added", ...ids, content_index: 0, part: { type: "audio", transcript: "" } });
+    emit({ type: "output_audio_buffer.started", response_id: response.id });
+    for (const delta of words(text)) {
+      await wait(WORD_MS);
+      emit({ type: "response.output_audio_transcript.delta", ...ids, content_index: 0, delta });
+    }
+    const part = { type: "audio", transcript: text };
+    emit({ type: "response.output_audio.done", ...ids, content_index: 0 });
+    emit({ type: "response.output_audio_transcript.done", ...ids, content_index: 0, transcript: text });
+    emit({ type: "response.content_part.done", ...ids, content_index: 0, part });
+    Object.assign(item, { status: "completed", content: [part] });
+    emit({ type: "response.output_item.done", response_id: response.id, output_index: outputIndex, item });
+    emit({ type: "conversation.item.done", item });
+  }
+
+  async function playFunctionCall(response, { name, arguments: args }) {
+    const outputIndex = response.output.length;
+    const rawArguments = JSON.stringify(args || {});
+    const item = {
+      id: newId("item"),
+      object: "realtime.item",
+      type: "function_call",
+      status: "in_progress",
+      name,
+      call_id: newId("call"),
+      arguments: "",
+    };
+    const ids = { response_id: response.id, item_id: item.id, output_index: outputIndex, call_id: item.call_id };
+    response.output.push(item);
+    lastItemId = item.id;
+    emit({ type: "response.output_item.added", response_id: response.id, output_index: outputIndex, item });
+    emit({ type: "conversation.item.added", item });
+    await wait(WORD_MS);
+    emit({ type: "response.function_call_arguments.delta", ...ids, delta: rawArguments });
+    emit({ type: "response.function_call_arguments.done", ...ids, name, arguments: rawArguments });
+    Object.assign(item, { status: "completed", arguments: rawArguments });
+    emit({ type: "response.output_item.done", response_id: response.id, output_index: outputIndex, item });
+    emit({ type: "conversation.item.done", item });
+  }
+
+  // Token counts shaped like the real usage report: the conversation so far
+  // is the input, with the patient's turns as audio and the instructions as a
+  // cached prefix after the first response; spoken output takes several audio
+  // tokens per transcript token
+  function usage(outputText, outputAudioTranscript) {
+    const inputText = 200 + step * 20;
+    const inputAudio = step * 40;
+    const cachedText = step > 0 ? 128 : 0;
+    const textTokens = estimateTokens(outputText) + estimateTokens(outputAudioTranscript);
+    const audioTokens = estimateTokens(outputAudioTranscript) * 5;
+    return {
+      total_tokens: inputText + inputAudio + textTokens + audioTokens,
+      input_tokens: inputText + inputAudio,
+      output_tokens: textTokens + audioTokens,
+      input_token_details: {
+        text_tokens: inputText,
+        audio_tokens: inputAudio,
+        cached_tokens: cachedText,
+        cached_tokens_details: { text_tokens: cachedText, audio_tokens: 0 },
+      },
+      output_token_details: { text_tokens: textTokens, audio_tokens: audioTokens },
+    };
+  }
+
+  // Out-of-band responses (`conversation: "none"`) are answered in text
+  // beside the conversation and leave the script where it is. No model runs,
+  // so the answer just lists what the patient has said so far.
+  async function playOutOfBand(request) {
+    const response = {
+      object: "realtime.response",
+      id: newId("resp"),
+      status: "in_progress",
+      conversation_id: null,
+      metadata: request.metadata || null,
+      output: [],
+    };
+    const said = script.steps.slice(0, step).filter((candidate) => candidate.user);
+    const text = [
+      "## Mock response",
+      "",
+      "The mock backend does not write notes. The patient said:",
+      "",
+      ...said.map((candidate) => `- ${candidate.user}`),
+    ].join("\n");
+    const item = {
+      id: newId("item"),
+      object: "realtime.item",
+      type: "message",
+      status: "in_progress",
+      role: "assistant",
+      content: [],
+    };
+    const ids = { response_id: response.id, item_id: item.id, output_index: 0 };
+    emit({ type: "response.created", response: { ...response } });
+    await wait(USER_PAUSE_MS / 3);
+    response.output.push(item);
+    emit({ type: "response.output_item.added", response_id: response.id, output_index: 0, item });
+    emit({ type: "response.content_part.added", ...ids, content_index: 0, part: { type: "text", text: "" } });
+    for (const delta of words(text)) {
+      await wait(WORD_MS / 4);
+      emit({ type: "response.output_text.delta", ...ids, content_index: 0, delta });
+    }
+    const part = { type: "text", text };
+    emit({ type: "response.output_text.done", ...ids, content_index: 0, text });
+    emit({ type: "response.content_part.done", ...ids, content_index: 0, part });
+    Object.assign(item, { status: "completed", content: [part] });
+    emit({ type: "response.output_item.done", response_id: response.id, output_index: 0, item });
+    emit({
+      type: "response.done",
+      response: { ...response, status: "completed", usage: usage(text, "") },
+    });
+  }
+
+  async function playResponse() {
+    // Take the next assistant step; if the script expects the patient to
+    // speak next (e.g. the client typed a message), answer generically.
+    const next = script.steps[step];
+    let turn = { assistant: FALLBACK_REPLY };
+    if (next && !next.user) {
+      turn = next;
+      step += 1;
+    }
+    const response = {
+      object: "realtime.response",
+      id: newId("resp"),
+      status: "in_progress",
+      output: [],
+    };
+    emit({ type: "response.created", response: { ...response, output: [] } });
+    await wait(USER_PAUSE_MS / 3);
+    if (turn.assistant) await playMessage(response, turn.assistant);
+    for (const call of turn.calls || []) {
+      await playFunctionCall(response, call);
+    }
+    // The response is over once `response.done` is out; the client may ask
+    // for the next one while handling it
+    responding = null;
+    emit({
+      type: "response.done",
+      response: {
+        ...response,
+        status: "completed",
+        usage: usage(JSON.stringify(turn.calls || []), turn.assistant),
+      },
+    });
+    if (turn.assistant) {
+      emit({ type: "output_audio_buffer.stopped", response_id: response.id });
+    }
+  }
+
+  // Patient turns play by themselves once the assistant has finished. The
+  // next step is only taken after the pause, so conversation items the
+  // client creates meanwhile (e.g. a resumed conversation) can move it on.
+  let continuing = false;
+  async function continueScript() {
+    if (continuing) return;
+    continuing = true;
+    try {
+      while (!closed && !responding && turnDetection() && script.steps[step]?.user) {
+        await wait(USER_PAUSE_MS);
+        const next = script.steps[step];
+        if (closed || responding || !turnDetection() || !next?.user) return;
+        step += 1;
+        await playUserTurn(next.user);
+      }
+    } finally {
+      continuing = false;
+    }
+  }
+
+  // A message the client re-creates (after a reconnect) that matches a later
+  // script step skips the script ahead to just after it
+  function skipPast(item) {
+    const text = item?.content?.[0]?.text;
+    if (item?.type !== "message" || !text) return;
+    const index = script.steps.findIndex(
+      (candidate, i) => i >= step && (candidate.user === text || candidate.assistant === text),
+    );
+    if (index !== -1) step = index + 1;
+  }
+
+  function respond(eventId) {
+    if (responding) {
+      emitError(
+        "conversation_already_has_active_response",
+        "Conversation already has an active response in progress",
+        eventId,
+      );
+      return;
+    }
+    responding = playResponse()
+      .catch((err) => {
+        logError("Mock response failed:", err);
+        responding = null;
+      })
+      .finally(continueScript);
+  }
+
+  function receive(event) {
+    switch (event.type) {
+      case "session.update":
+        Object.assign(session, event.session);
+        emit({ type: "session.updated", session });
+        break;
+      case "conversation.item.create": {
+        const item = { id: event.item?.id || newId("item"), ...event.item, status: "completed" };
+        emit({ type: "conversation.item.added", previous_item_id: lastItemId, item });
+        emit({ type: "conversation.item.done", item });
+        lastItemId = item.id;
+        skipPast(item);
+        break;
+      }
+      case "response.create":
+        if (event.response?.conversation === "none") {
+          playOutOfBand(event.response).catch((err) => logError("Mock response failed:", err));
+        } else {
+          respond(event.event_id);
+        }
+        break;
+      case "input_audio_buffer.commit": {
+        const next = script.steps[step];
+        if (turnDetection() || !next?.user) {
+          emitError(
+            "input_audio_buffer_commit_empty",
+            "Error committing input audio buffer: buffer is empty",
+            event.event_id,
+          );
+          break;
+        }
+        step += 1;
+        playUserTurn(next.user).catch((err) => logError("Mock user turn failed:", err));
+        break;
+      }
+      case "response.cancel":
+      case "input_audio_buffer.clear":
+      case "output_audio_buffer.clear":
+        break;
+      default:
+        emitError("unknown_event", `Mock backend ignores ${event.type}`, event.event_id);
+    }
+  }
+
+  function start() {
+    emit({ type: "session.created", session });
+    continueScript();
+  }
+
+  function close() {
+    closed = true;
+    timers.forEach(clearTimeout);
+    timers.clear();
+  }
+
+  return { start, receive, close };
+}
+
+// Crude stopword-based guess, enough to exercise the bilingual transcript
+const MOCK_LANGUAGES = {
+  es: ["el", "la", "de", "que", "y", "tengo", "me", "duele", "estoy", "por", "con", "no", "mi"],
+  fr: ["le", "la", "les", "et", "je", "j'ai", "mal", "suis", "pas", "avec", "une", "mon"],
+  de: ["der", "die", "das", "und", "ich", "habe", "nicht", "mit", "ein", "eine", "mein"],
+  en: ["the", "and", "i", "i'm", "have", "my", "is", "a", "to", "for", "it", "you"],
+};
+
+function guessLanguage(text) {
+  const tokens = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+  let best = "en";
+  let bestScore = 0;
+  Object.entries(MOCK_LANGUAGES).forEach(([language, stopwords]) => {
+    const score = tokens.filter((token) => stopwords.includes(token)).length;
+    if (score > bestScore) {
+      best = language;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+// Express router with the Realtime endpoints the server calls, plus the chat
+// completion used for translation. werift is a development dependency, so it
+// is only loaded when the mock is enabled.
+export async function createMockRealtimeRouter({
+  script = process.env.REALTIME_MOCK_SCRIPT || "general-intake",
+  speed = Number(process.env.REALTIME_MOCK_SPEED) || 1,
+} = {}) {
+  const { RTCPeerConnection } = await import("werift");
+  const router = express.Router();
+
+  // Takes a plain SDP offer or a multipart form with `sdp` and `session`
+  router.post("/v1/realtime/calls", async (req, res) => {
+    try {
+      let offer = req.body;
+      let config = {};
+      if (req.is("multipart/form-data") && typeof req.body === "string") {
+        const form = await new Response(req.body, {
+          headers: { "Content-Type": req.get("content-type") },
+        }).formData();
+        offer = form.get("sdp");
+        config = JSON.parse(form.get("session") || "{}");
+      }
+      if (typeof offer !== "string" || !offer.startsWith("v=")) {
+        return res.status(400).send("Expected an SDP offer");
+      }
+      const conversationScript = await loadMockScript(script);
+      const pc = new RTCPeerConnection();
+      let conversation = null;
+
+      const shutdown = () => {
+        conversation?.close();
+        pc.close().catch(() => {});
+      };
+
+      pc.onDataChannel.subscribe((channel) => {
+        conversation = createMockConversation(conversationScript, {
+          model: config.model || req.query.model,
+          speed,
+          config,
+          send: (event) => {
+            if (channel.readyState === "open") channel.send(JSON.stringify(event));
+          },
+        });
+        channel.onMessage.subscribe((data) => {
+          try {
+            conversation.receive(JSON.parse(data.toString()));
+          } catch (err) {
+            logError("Mock backend got an unreadable client event:", err);
+          }
+        });
+        channel.stateChanged.subscribe((state) => {
+          if (state === "closed") shutdown();
+        });
+        if (channel.readyState === "open") {
+          conversation.start();
+        } else {
+          channel.stateChanged.subscribe((state) => {
+            if (state === "open") conversation.start();
+          });
+        }
+      });
+      pc.connectionStateChange.subscribe((state) => {
+        if (state === "failed" || state === "closed") shutdown();
+      });
+
+      await pc.setRemoteDescription({ type: "offer", sdp: offer });
+      await pc.setLocalDescription(await pc.createAnswer());
+      logInfo(`Mock realtime call started with script ${script}`);
+      res.status(201).type("application/sdp").send(pc.localDescription.sdp);
+    } catch (e) {
+      logError("Mock SDP exchange failed:", e);
+      res.status(500).send("Mock SDP exchange failed");
+    }
+  });
+
+  router.post("/v1/realtime/client_secrets", (req, res) => {
+    const session = req.body?.session || {};
+    res.json({
+      value: `ek_mock_${randomBytes(12).toString("hex")}`,
+      expires_at: Math.floor(Date.now() / 1000) + 60,
+      session: { type: "realtime", object: "realtime.session", id: newId("sess"), ...session },
+    });
+  });
+
+  // Translation stand-in: detects the language and tags instead of translating
+  router.post("/v1/chat/completions", (req, res) => {
+    let request;
+    try {
+      request = JSON.parse(req.body.messages.at(-1).content);
+    } catch {
+      return res.status(400).json({ error: { message: "Expected a translation request" } });
+    }
+    const results = request.texts.map((text) => {
+      const language = guessLanguage(text);
+      return {
+        language,
+        translation: language === request.target ? text : `[${request.target}] ${text}`,
+      };
+    });
+    res.json({
+      id: newId("chatcmpl"),
+      object: "chat.completion",
+      model: req.body.model,
+      choices: [
+        {
+          index: 0,
+          finish_reason: "stop",
+          message: { role: "assistant", content: JSON.stringify({ results }) },
+        },
+      ],
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { RTCPeerConnection } from "werift";
+import { createMockConversation, createMockRealtimeRouter } from "./mockRealtime.js";
+
+const SCRIPT = {
+  steps: [
+    { user: "I have had a cough since Monday." },
+    { calls: [{ name: "record_symptom", arguments: { description: "cough" } }] },
+    { assistant: "Thank you. Anything else?" },
+  ],
+};
+
+test("plays a patient turn and answers response.create sent while response.done is handled", async () => {
+  const events = [];
+  await new Promise((resolve) => {
+    const conversation = createMockConversation(SCRIPT, {
+      model: "gpt-realtime",
+      speed: 1000,
+      send: (event) => {
+        events.push(event);
+        if (event.type !== "response.done") return;
+        if (events.filter((e) => e.type === "response.done").length === 1) {
+          // Like the console after returning function call outputs
+          conversation.receive({ type: "response.create" });
+        } else {
+          conversation.close();
+          resolve();
+        }
+      },
+    });
+    conversation.start();
+  });
+
+  const types = events.map((event) => event.type);
+  assert.equal(types[0], "session.created");
+  assert.ok(types.includes("input_audio_buffer.committed"));
+  assert.ok(types.includes("response.function_call_arguments.done"));
+  assert.ok(!types.includes("error"), "no error events");
+  const [first, second] = events.filter((event) => event.type === "response.done");
+  assert.equal(first.response.output[0].name, "record_symptom");
+  assert.ok(first.response.usage.total_tokens > 0);
+  assert.equal(second.response.status, "completed");
+});
+
+test("answers an SDP offer posted to /v1/realtime/calls", async (t) => {
+  const app = express();
+  app.use(express.text({ type: "*/*" }));
+  app.use("/mock-openai", await createMockRealtimeRouter({ speed: 1000 }));
+  const server = app.listen(0);
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const { port } = server.address();
+
+  const pc = new RTCPeerConnection();
+  const channel = pc.createDataChannel("oai-events");
+  // Closing the channel first ends the call on the mock's side right away
+  t.after(() => {
+    channel.close();
+    return pc.close();
+  });
+  const firstEvent = new Promise((resolve) => {
+    channel.onMessage.subscribe((data) => resolve(JSON.parse(data.toString())));
+  });
+  await pc.setLocalDescription(await pc.createOffer());
+
+  const response = await fetch(
+    `http://localhost:${port}/mock-openai/v1/realtime/calls?model=gpt-realtime`,
+    {
+      method: "POST",
+      body: pc.localDescription.sdp,
+      headers: { "Content-Type": "application/sdp" },
+    },
+  );
+  assert.equal(response.status, 201);
+  assert.match(response.headers.get("content-type"), /^application\/sdp/);
+  const answer = await response.text();
+  assert.match(answer, /^v=0/);
+  await pc.setRemoteDescription({ type: "answer", sdp: answer });
+  assert.equal((await firstEvent).type, "session.created");
+
+  const rejected = await fetch(`http://localhost:${port}/mock-openai/v1/realtime/calls`, {
+    method: "POST",
+    body: "not an offer",
+    headers: { "Content-Type": "application/sdp" },
+  });
+  assert.equal(rejected.status, 400);
+});
@@ -0,0 +1,78 @@
+import fs from "fs/promises";
+import { createHash } from "crypto";
+import { join, resolve } from "path";
+
+// Intake protocols live under config/protocols/<id>/v<version>.json. Old
+// versions stay on disk so every stored session can be traced back to the
+// exact prompt it ran with; the content hash catches edits made in place.
+const PROTOCOLS_DIR = resolve(process.env.PROTOCOLS_DIR || "./config/protocols");
+
+const PROTOCOL_ID = /^[a-z0-9-]+$/;
+const VERSION_FILE = /^v(\d+)\.json$/;
+
+function hashProtocol(protocol) {
+  return createHash("sha256").update(JSON.stringify(protocol)).digest("hex").slice(0, 16);
+}
+
+async function readVersions(id) {
+  if (!PROTOCOL_ID.test(id)) return [];
+  let files;
+  try {
+    files = await fs.readdir(join(PROTOCOLS_DIR, id));
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  return files
+    .map((file) => Number(VERSION_FILE.exec(file)?.[1]))
+    .filter((version) => Number.isInteger(version))
+    .sort((a, b) => a - b);
+}
+
+function toInstructions(instructions) {
+  return Array.isArray(instructions) ? instructions.join("\n") : instructions;
+}
+
+// Full protocol definition; latest version unless one is asked for
+export async function getProtocol(id, version) {
+  const versions = await readVersions(id);
+  const wanted = version ? Number(version) : versions[versions.length - 1];
+  if (!versions.includes(wanted)) return null;
+
+  const raw = JSON.parse(
+    await fs.readFile(join(PROTOCOLS_DIR, id, `v${wanted}.json`), "utf-8"),
+  );
+  const protocol = {
+    ...raw,
+    id,
+    version: wanted,
+    instructions: toInstructions(raw.instructions),
+  };
+  return { ...protocol, hash: hashProtocol(protocol), versions };
+}
+
+// Latest version of every protocol, without instructions
+export async function listProtocols() {
+  let ids;
+  try {
+    ids = await fs.readdir(PROTOCOLS_DIR);
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  const protocols = await Promise.all(ids.map((id) => getProtocol(id)));
+  return protocols
+    .filter(Boolean)
+    .map(({ instructions, ...summary }) => summary)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// What a session stores to record which prompt it used
+export function protocolRef(protocol) {
+  return {
+    id: protocol.id,
+    version: protocol.version,
+    hash: protocol.hash,
+    requiredSections: protocol.requiredSections || [],
+  };
+}
@@ -0,0 +1,30 @@
+import fs from "fs/promises";
+import { join, resolve } from "path";
+import { DEFAULT_SESSION_LIMITS, normalizeSessionLimits } from "../lib/sessionConfig.js";
+
+// What staff may change per session (models, voices, turn-taking, ...), as
+// set by an admin. Until an admin saves limits the defaults apply.
+const DATA_DIR = resolve(process.env.DATA_DIR || "./data");
+const LIMITS_FILE = join(DATA_DIR, "session-limits.json");
+
+export async function getSessionLimits() {
+  let saved;
+  try {
+    saved = JSON.parse(await fs.readFile(LIMITS_FILE, "utf-8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return DEFAULT_SESSION_LIMITS;
+    throw e;
+  }
+  return normalizeSessionLimits(saved).limits;
+}
+
+// Returns { limits, errors }; nothing is saved when there are errors
+export async function saveSessionLimits(input) {
+  const { limits, errors } = normalizeSessionLimits(input);
+  if (errors.length > 0) return { limits, errors };
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const tmp = `${LIMITS_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(limits, null, 2));
+  await fs.rename(tmp, LIMITS_FILE);
+  return { limits, errors };
+}
@@ -0,0 +1,263 @@
+import fs from "fs/promises";
+import { randomUUID } from "crypto";
+import { join, resolve } from "path";
+import { intakeFlags } from "../lib/intake.js";
+
+// Local-disk session store. Every session gets its own directory holding
+// session.json (metadata, transcript, intake) and events.jsonl, the full
+// client/server event stream in arrival order.
+const DATA_DIR = resolve(process.env.DATA_DIR || "./data");
+const SESSIONS_DIR = join(DATA_DIR, "sessions");
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Fields a client may set through updateSession, and only while the session
+// is active; the one status change a client may make is ending it
+const UPDATABLE_FIELDS = ["transcript", "intake", "endedAt", "status", "metadata"];
+const END_STATUSES = ["completed", "failed"];
+
+export class SessionUpdateError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Writes to one session are serialized so appends and updates never interleave
+const locks = new Map();
+function withLock(id, fn) {
+  const previous = locks.get(id) || Promise.resolve();
+  const next = previous.then(fn, fn);
+  const settled = next.catch(() => {});
+  locks.set(id, settled);
+  settled.then(() => {
+    if (locks.get(id) === settled) locks.delete(id);
+  });
+  return next;
+}
+
+export function isSessionId(id) {
+  return typeof id === "string" && ID_PATTERN.test(id);
+}
+
+function sessionDir(id) {
+  if (!isSessionId(id)) throw new Error(`Invalid session id: ${id}`);
+  return join(SESSIONS_DIR, id);
+}
+
+async function writeJson(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.rename(tmp, file);
+}
+
+async function readSessionFile(id) {
+  try {
+    return JSON.parse(await fs.readFile(join(sessionDir(id), "session.json"), "utf-8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+// `protocol` is the reference of the intake protocol version the session runs;
+// `createdBy` is the principal (staff user or kiosk) that started it; `config`
+// is the resolved Realtime session configuration (see lib/sessionConfig.js);
+// `consent` is the patient's answer to the consent text (see server/consent.js).
+// A declined session is stored already ended, as the record of the decision.
+export async function createSession(
+  metadata = {},
+  { protocol = null, createdBy = null, config = null, consent = null } = {},
+) {
+  const id = randomUUID();
+  const now = new Date().toISOString();
+  const declined = consent?.decision === "declined";
+  const session = {
+    id,
+    createdAt: now,
+    startedAt: now,
+    endedAt: declined ? now : null,
+    status: declined ? "declined" : "active",
+    metadata,
+    protocol,
+    config,
+    consent,
+    createdBy,
+    eventCount: 0,
+    lastEventAt: null,
+    transcript: [],
+    intake: null,
+  };
+  await fs.mkdir(sessionDir(id), { recursive: true });
+  await writeJson(join(sessionDir(id), "session.json"), session);
+  return session;
+}
+
+export function getSession(id) {
+  return isSessionId(id) ? readSessionFile(id) : Promise.resolve(null);
+}
+
+// Clients write to a session only while it runs
+function assertActive(session) {
+  if (session.status !== "active") {
+    throw new SessionUpdateError(409, `Session has ended (${session.status})`);
+  }
+}
+
+export function updateSession(id, patch) {
+  return withLock(id, async () => {
+    const session = await readSessionFile(id);
+    if (!session) return null;
+    assertActive(session);
+    const { status } = patch;
+    if (status !== undefined && status !== "active" && !END_STATUSES.includes(status)) {
+      throw new SessionUpdateError(400, `Status can only change to ${END_STATUSES.join(" or ")}`);
+    }
+    for (const field of UPDATABLE_FIELDS) {
+      if (patch[field] !== undefined) session[field] = patch[field];
+    }
+    session.updatedAt = new Date().toISOString();
+    await writeJson(join(sessionDir(id), "session.json"), session);
+    return session;
+  });
+}
+
+export function markReviewed(id, reviewedBy) {
+  return withLock(id, async () => {
+    const session = await readSessionFile(id);
+    if (!session) return null;
+    session.review = { reviewedAt: new Date().toISOString(), reviewedBy };
+    await writeJson(join(sessionDir(id), "session.json"), session);
+    return session;
+  });
+}
+
+// Red flags raised during the session (see lib/redFlags.js), oldest first
+export function addRedFlag(id, flag) {
+  return withLock(id, async () => {
+    const session = await readSessionFile(id);
+    if (!session) return null;
+    session.redFlags = [...(session.redFlags || []), flag];
+    await writeJson(join(sessionDir(id), "session.json"), session);
+    return session;
+  });
+}
+
+// The clinician note as last saved by staff; the text first written by the
+// model is kept next to it
+export function saveNote(id, { format, text, generatedText, updatedBy }) {
+  return withLock(id, async () => {
+    const session = await readSessionFile(id);
+    if (!session) return null;
+    const now = new Date().toISOString();
+    session.note = {
+      format,
+      text,
+      generatedText: session.note?.generatedText ?? generatedText ?? null,
+      createdAt: session.note?.createdAt || now,
+      updatedAt: now,
+      updatedBy,
+    };
+    await writeJson(join(sessionDir(id), "session.json"), session);
+    return session;
+  });
+}
+
+export function appendEvents(id, events) {
+  return withLock(id, async () => {
+    const session = await readSessionFile(id);
+    if (!session) return null;
+    assertActive(session);
+    if (events.length > 0) {
+      const lines = events.map((event) => JSON.stringify(event)).join("\n") + "\n";
+      await fs.appendFile(join(sessionDir(id), "events.jsonl"), lines);
+      session.eventCount += events.length;
+      session.lastEventAt = new Date().toISOString();
+      await writeJson(join(sessionDir(id), "session.json"), session);
+    }
+    return session;
+  });
+}
+
+// Token usage and cost of the whole session (see lib/metering.js), worked out
+// from its events when it ends
+export function saveUsage(id, usage) {
+  return withLock(id, async () => {
+    const session = await readSessionFile(id);
+    if (!session) return null;
+    session.usage = usage;
+    await writeJson(join(sessionDir(id), "session.json"), session);
+    return session;
+  });
+}
+
+// Audio recording of one side of the conversation ("patient" or
+// "assistant"), stored next to the events; `startedAt` (epoch ms) aligns it
+// with the events' `recordedAt` times
+const AUDIO_EXTENSIONS = { "audio/webm": "webm", "audio/ogg": "ogg", "audio/mp4": "m4a" };
+
+export function saveAudio(id, side, { data, mimeType, startedAt, uploadedBy }) {
+  return withLock(id, async () => {
+    const session = await readSessionFile(id);
+    if (!session) return null;
+    const file = `audio-${side}.${AUDIO_EXTENSIONS[mimeType] || "bin"}`;
+    const previous = session.audio?.[side]?.file;
+    await fs.writeFile(join(sessionDir(id), file), data);
+    if (previous && previous !== file) await fs.rm(join(sessionDir(id), previous), { force: true });
+    session.audio = {
+      ...session.audio,
+      [side]: {
+        file,
+        mimeType,
+        size: data.length,
+        startedAt,
+        uploadedAt: new Date().toISOString(),
+        uploadedBy,
+      },
+    };
+    await writeJson(join(sessionDir(id), "session.json"), session);
+    return session;
+  });
+}
+
+// Absolute path and type of a stored recording, or null
+export async function audioFile(id, side) {
+  const recording = (await getSession(id))?.audio?.[side];
+  if (!recording) return null;
+  return { path: join(sessionDir(id), recording.file), mimeType: recording.mimeType };
+}
+
+export async function readEvents(id) {
+  try {
+    const text = await fs.readFile(join(sessionDir(id), "events.jsonl"), "utf-8");
+    return text
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+}
+
+// Session summaries (no transcript or intake bodies), newest first
+export async function listSessions() {
+  let ids;
+  try {
+    ids = await fs.readdir(SESSIONS_DIR);
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  const sessions = await Promise.all(ids.filter(isSessionId).map(readSessionFile));
+  return sessions
+    .filter(Boolean)
+    .map(({ transcript, intake, note, ...summary }) => ({
+      ...summary,
+      hasNote: Boolean(note),
+      transcriptLength: transcript?.length || 0,
+      hasIntake: Boolean(intake),
+      flags: intakeFlags(intake, summary.protocol?.requiredSections),
+    }))
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
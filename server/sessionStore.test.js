@@ -0,0 +1,47 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+
+let store;
+let dataDir;
+
+// The store reads DATA_DIR when it is loaded
+before(async () => {
+  dataDir = await fs.mkdtemp(join(tmpdir(), "session-store-"));
+  process.env.DATA_DIR = dataDir;
+  store = await import("./sessionStore.js");
+});
+
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+const ACCEPTED = { decision: "accepted", language: "en", version: 1 };
+
+test("takes events and updates while active, then refuses both once ended", async () => {
+  const { id } = await store.createSession({}, { consent: ACCEPTED });
+
+  await store.appendEvents(id, [{ type: "session.created" }]);
+  await store.updateSession(id, { transcript: [{ message: "Hello" }], status: "completed" });
+
+  await assert.rejects(store.appendEvents(id, [{ type: "response.done" }]), { status: 409 });
+  await assert.rejects(store.updateSession(id, { transcript: [] }), { status: 409 });
+  await assert.rejects(store.updateSession(id, { status: "active" }), { status: 409 });
+  const session = await store.getSession(id);
+  assert.equal(session.eventCount, 1);
+  assert.deepEqual(session.transcript, [{ message: "Hello" }]);
+  assert.deepEqual(await store.readEvents(id), [{ type: "session.created" }]);
+});
+
+test("only lets a client end a session as completed or failed", async () => {
+  const { id } = await store.createSession({}, { consent: ACCEPTED });
+
+  await assert.rejects(store.updateSession(id, { status: "declined" }), { status: 400 });
+  assert.equal((await store.updateSession(id, { status: "failed" })).status, "failed");
+});
+
+test("refuses events for a declined session", async () => {
+  const { id } = await store.createSession({}, { consent: { ...ACCEPTED, decision: "declined" } });
+
+  await assert.rejects(store.appendEvents(id, [{ type: "session.created" }]), { status: 409 });
+});
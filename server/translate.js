@@ -0,0 +1,77 @@
+// Language detection and translation for transcript turns and intake
+// summaries, through the Chat Completions API at the configured base URL
+// (the local mock answers it too). One request handles a batch of texts.
+
+const MAX_TEXTS = 50;
+
+export class TranslationError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const SYSTEM_PROMPT = [
+  "You translate patient intake conversations for clinicians.",
+  "The user message is JSON: { target, texts }. For every text, detect its language and translate it into the target language.",
+  'Reply with JSON only: { "results": [{ "language": "<ISO 639-1 code>", "translation": "<text in the target language>" }] }, one result per text, in the same order.',
+  "If a text is already in the target language, return it unchanged. Keep medical terms, doses and numbers exact; do not add explanations.",
+].join("\n");
+
+export function createTranslator({ baseUrl, apiKey, model }) {
+  // Returns [{ language, translation }] in the order of `texts`;
+  // `translation` is null when the text is already in `target`
+  async function translate(texts, target) {
+    if (!Array.isArray(texts) || texts.some((text) => typeof text !== "string")) {
+      throw new TranslationError(400, "Expected an array of texts");
+    }
+    if (texts.length > MAX_TEXTS) {
+      throw new TranslationError(400, `At most ${MAX_TEXTS} texts per request`);
+    }
+    if (!/^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(target || "")) {
+      throw new TranslationError(400, "Invalid target language");
+    }
+    if (texts.length === 0) return [];
+    if (!apiKey) throw new TranslationError(500, "Missing OPENAI_API_KEY");
+
+    const response = await fetch(`${baseUrl}/v1/chat/completions`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        model,
+        temperature: 0,
+        response_format: { type: "json_object" },
+        messages: [
+          { role: "system", content: SYSTEM_PROMPT },
+          { role: "user", content: JSON.stringify({ target, texts }) },
+        ],
+      }),
+    });
+    if (!response.ok) {
+      throw new TranslationError(502, `Translation request failed: ${response.status}`);
+    }
+    const data = await response.json();
+    let results;
+    try {
+      results = JSON.parse(data.choices[0].message.content).results;
+    } catch {
+      results = null;
+    }
+    if (!Array.isArray(results) || results.length !== texts.length) {
+      throw new TranslationError(502, "Unexpected translation response");
+    }
+    const base = target.split("-")[0];
+    return results.map(({ language, translation }, index) => {
+      const code = String(language || "").toLowerCase().split("-")[0] || null;
+      return {
+        language: code,
+        translation: code === base ? null : translation || texts[index],
+      };
+    });
+  }
+
+  return { translate };
+}
@@ -0,0 +1,76 @@
+import fs from "fs/promises";
+import { resolve } from "path";
+import { addTokens, emptyTokens, totalTokens } from "../lib/metering.js";
+
+// Price table for token metering (see lib/metering.js). Clinics point
+// PRICING_FILE at their own when their rates differ.
+const PRICING_FILE = resolve(process.env.PRICING_FILE || "./config/pricing.json");
+
+export async function getPricing() {
+  const pricing = JSON.parse(await fs.readFile(PRICING_FILE, "utf-8"));
+  return {
+    version: pricing.version,
+    currency: pricing.currency || "USD",
+    per: pricing.per || 1000000,
+    models: pricing.models || {},
+  };
+}
+
+function emptyRow(key) {
+  return { key, sessions: 0, unmetered: 0, responses: 0, tokens: emptyTokens(), totalTokens: 0, cost: 0 };
+}
+
+function addSession(row, session) {
+  row.sessions += 1;
+  if (!session.usage) {
+    row.unmetered += 1;
+    return;
+  }
+  row.responses += session.usage.responses;
+  row.tokens = addTokens(row.tokens, session.usage.tokens);
+  row.totalTokens = totalTokens(row.tokens);
+  row.cost += session.usage.cost || 0;
+}
+
+// Sessions started in [from, to) (ISO dates, either optional) added up per
+// day (UTC), per protocol and per kiosk ("console" for staff-run sessions).
+// `unmetered` counts sessions without saved usage: still running, or ended
+// without the browser saying so.
+export function usageReport(sessions, { from = null, to = null } = {}) {
+  const included = sessions.filter(
+    (session) =>
+      session.status !== "declined" &&
+      (!from || session.startedAt >= from) &&
+      (!to || session.startedAt < to),
+  );
+  const total = emptyRow("total");
+  const groups = { byDay: new Map(), byProtocol: new Map(), byKiosk: new Map() };
+  const keys = {
+    byDay: (session) => session.startedAt.slice(0, 10),
+    byProtocol: (session) => session.protocol?.id || "unknown",
+    byKiosk: (session) =>
+      session.createdBy?.kind === "kiosk" ? session.createdBy.id : "console",
+  };
+  const currencies = new Set();
+  included.forEach((session) => {
+    addSession(total, session);
+    if (session.usage?.currency) currencies.add(session.usage.currency);
+    Object.entries(keys).forEach(([group, keyOf]) => {
+      const key = keyOf(session);
+      if (!groups[group].has(key)) groups[group].set(key, emptyRow(key));
+      addSession(groups[group].get(key), session);
+    });
+  });
+  return {
+    from,
+    to,
+    currencies: [...currencies],
+    total,
+    ...Object.fromEntries(
+      Object.entries(groups).map(([group, rows]) => [
+        group,
+        [...rows.values()].sort((a, b) => a.key.localeCompare(b.key)),
+      ]),
+    ),
+  };
+}